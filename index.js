@@ -1,3 +1,33 @@
 export { interpret } from "./src/interpreter.js";
+export { interpretAsync } from "./src/async-interpreter.js";
+export { interpretAll } from "./src/batch-interpreter.js";
+export { analyze } from "./src/analyzer.js";
 export { CachedInterpreter } from "./src/cached-interpreter.js";
+export { compile } from "./src/compiler.js";
+export { stackEnvironments } from "./src/environment.js";
+export { explain } from "./src/explainer.js";
+export { format } from "./src/formatter.js";
+export { optimize, partialEvaluate } from "./src/optimizer.js";
+export { range } from "./src/range-analyzer.js";
+export { createSkillEnvironment } from "./src/skill-environment.js";
+export {
+  parse,
+  parseWithRecovery,
+  AstBinaryOp,
+  AstConditional,
+  AstError,
+  AstFunctionCall,
+  AstIdentifier,
+  AstNumber,
+  AstRefFunctionCall,
+  AstUnaryOp,
+} from "./src/parser.js";
+export { LevelTable, tabulate } from "./src/table.js";
+export {
+  evaluateTxtFile,
+  lintTxtFile,
+  parseTxtFile,
+  FORMULA_COLUMNS,
+} from "./src/txt-file.js";
+export { validate } from "./src/validator.js";
 export * from "./src/errors.js";
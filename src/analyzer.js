@@ -0,0 +1,176 @@
+import { assertUnhandledExpressionType } from "./exhaustiveness.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ */
+
+/**
+ * @typedef {object} FunctionUsage Numeric function called by D2F code
+ * @property {string} name Name of the function
+ * @property {number} arity Number of arguments passed to the function
+ */
+
+/**
+ * @typedef {object} ReferenceFunctionUsage
+ *    Single-qualifier reference function call in D2F code
+ * @property {string} name Name of the function
+ * @property {string | null} reference Literal reference (e.g. `"Fire Bolt"` for
+ *    `skill('Fire Bolt'.blvl)`), or `null` if the reference is computed from an
+ *    expression (e.g. `skill(lvl.blvl)`)
+ * @property {string} code Dot code, without the leading dot
+ */
+
+/**
+ * @typedef {object} ReferenceFunction2QUsage
+ *    Double-qualifier reference function call in D2F code
+ * @property {string} name Name of the function
+ * @property {string | null} reference Literal reference, or `null` if the
+ *    reference is computed from an expression
+ * @property {string} code1 First dot code, without the leading dot
+ * @property {string} code2 Second dot code, without the leading dot
+ */
+
+/**
+ * @typedef {object} FormulaDependencies
+ *    Identifiers and functions that D2F code depends on
+ * @property {string[]} identifiers Names of identifiers
+ * @property {FunctionUsage[]} functions Numeric functions
+ * @property {ReferenceFunctionUsage[]} referenceFunctions
+ *    Calls to single-qualifier reference functions
+ * @property {ReferenceFunction2QUsage[]} referenceFunctions2Q
+ *    Calls to double-qualifier reference functions
+ */
+
+/**
+ * Analyzes D2F code (or its AST) and returns the identifiers, functions, and
+ * reference functions it uses. The code is not evaluated.
+ *
+ * Every part of the code is analyzed, including both branches of conditional
+ * expressions. Each list is free of duplicates, and is sorted in the order of
+ * first appearance in the code.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @return {FormulaDependencies}
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ */
+export function analyze(code) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  const collector = new DependencyCollector();
+  collector.visit(expression);
+  return collector.dependencies;
+}
+
+/**
+ * Walks an AST and collects its dependencies, removing duplicates.
+ */
+class DependencyCollector {
+  constructor() {
+    /** @type {FormulaDependencies} */
+    this.dependencies = {
+      identifiers: [],
+      functions: [],
+      referenceFunctions: [],
+      referenceFunctions2Q: [],
+    };
+    /**
+     * Keys of dependencies that have already been collected
+     * @type {Set<string>}
+     * @private
+     */
+    this.seen_ = new Set();
+  }
+
+  /**
+   * Checks whether a dependency has been collected before, and marks it as
+   * collected.
+   *
+   * @param {...(string | number | null)} keyParts Values that identify the
+   *    dependency
+   * @return {boolean} `true` if this is the first time the dependency is seen
+   * @private
+   */
+  isNew_(...keyParts) {
+    const key = JSON.stringify(keyParts);
+    if (this.seen_.has(key)) return false;
+    this.seen_.add(key);
+    return true;
+  }
+
+  /**
+   * @param {AstExpression} expression
+   */
+  visit(expression) {
+    const { dependencies } = this;
+
+    switch (expression.type) {
+      case "AstBinaryOp":
+        this.visit(expression.left);
+        this.visit(expression.right);
+        break;
+      case "AstConditional":
+        this.visit(expression.condition);
+        this.visit(expression.trueExpression);
+        this.visit(expression.falseExpression);
+        break;
+      case "AstError":
+        break;
+      case "AstFunctionCall": {
+        const { functionName } = expression;
+        if (this.isNew_("function", functionName)) {
+          dependencies.functions.push({ name: functionName, arity: 2 });
+        }
+        this.visit(expression.arg1);
+        this.visit(expression.arg2);
+        break;
+      }
+      case "AstIdentifier":
+        if (this.isNew_("identifier", expression.name)) {
+          dependencies.identifiers.push(expression.name);
+        }
+        break;
+      case "AstNumber":
+        break;
+      case "AstRefFunctionCall": {
+        const { functionName: name, code1, code2 } = expression;
+        const reference =
+          typeof expression.reference === "string"
+            ? expression.reference
+            : null;
+
+        if (code2 == null) {
+          if (this.isNew_("referenceFunction", name, reference, code1)) {
+            dependencies.referenceFunctions.push({
+              name,
+              reference,
+              code: code1,
+            });
+          }
+        } else {
+          if (
+            this.isNew_("referenceFunction2Q", name, reference, code1, code2)
+          ) {
+            dependencies.referenceFunctions2Q.push({
+              name,
+              reference,
+              code1,
+              code2,
+            });
+          }
+        }
+
+        if (typeof expression.reference !== "string") {
+          this.visit(expression.reference);
+        }
+        break;
+      }
+      case "AstUnaryOp":
+        this.visit(expression.expression);
+        break;
+      default:
+        // Exhaustiveness check
+        assertUnhandledExpressionType(expression);
+    }
+  }
+}
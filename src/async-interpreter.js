@@ -0,0 +1,299 @@
+import {
+  invokeCallbackAsync,
+  lookupFunction,
+  lookupIdentifier,
+  lookupReferenceFunction,
+  lookupReferenceFunction2Q,
+} from "./environment.js";
+import { D2CalcAbortError } from "./errors.js";
+import {
+  assertUnhandledExpressionType,
+  createUnhandledUnaryOperatorError,
+} from "./exhaustiveness.js";
+import { toInt32 } from "./int32.js";
+import { applyBinaryOperator } from "./interpreter.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").AsyncInterpreterEnvironment} AsyncInterpreterEnvironment
+ * @typedef {import("./environment.js").CallbackKind} CallbackKind
+ * @typedef {import("./environment.js").CallbackNode} CallbackNode
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2FInterpreterError} D2FInterpreterError
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
+ * @typedef {import("./parser.js").AstUnaryOp} AstUnaryOp
+ */
+
+/**
+ * Minimal interface of `AbortSignal` used by the async interpreter.
+ * @typedef {object} AbortSignalLike
+ * @property {boolean} aborted Whether the operation has been aborted
+ * @property {unknown=} reason Reason for aborting the operation
+ * @property {((type: "abort", listener: () => void) => void)=} addEventListener
+ *    Registers a listener for the `abort` event. If available, the interpreter
+ *    stops waiting for a pending callback as soon as the signal is aborted.
+ * @property {((type: "abort", listener: () => void) => void)=} removeEventListener
+ *    Removes a listener registered with `addEventListener()`
+ */
+
+/**
+ * @typedef {object} AsyncInterpretOptions
+ * @property {AbortSignalLike=} signal
+ *    Signal for aborting the interpreter. The interpreter checks the signal
+ *    before and after calling each callback in the environment, and stops
+ *    waiting for a pending callback when the signal is aborted.
+ */
+
+/**
+ * Interprets D2F code and returns a promise that resolves to the result.
+ *
+ * Unlike `interpret()`, callbacks in the environment may return promises,
+ * which are awaited before being used. Callbacks are called one at a time, in
+ * the same order as `interpret()`.
+ *
+ * @param {string} text D2F code
+ * @param {AsyncInterpreterEnvironment=} environment Environment to use when
+ *    interpreting the code
+ * @param {AsyncInterpretOptions=} options
+ * @return {Promise<number>} Signed 32-bit integer
+ * @throws {D2FSyntaxError} If the code is syntactically invalid
+ * @throws {D2FInterpreterError} If the code is syntactically valid, but an
+ *    error occurs while interpreting the result
+ * @throws {D2CalcAbortError} If the signal is aborted without a reason.
+ *    If the signal has a reason, it is thrown instead.
+ */
+export async function interpretAsync(text, environment = {}, options = {}) {
+  const expression = parse(text);
+  return interpretExpressionAsync(expression, environment, options);
+}
+
+/**
+ * Evaluates an AST expression node, awaiting callbacks that return promises.
+ *
+ * @param {AstExpression} expression
+ * @param {AsyncInterpreterEnvironment} environment Environment to use when
+ *    interpreting the expression
+ * @param {AsyncInterpretOptions=} options
+ * @return {Promise<Int32>} Signed 32-bit integer
+ * @throws {D2FSyntaxError} If the code is syntactically invalid
+ * @throws {D2FInterpreterError} If the code is syntactically valid, but an
+ *    error occurs while interpreting the result
+ * @throws {D2CalcAbortError} If the signal is aborted without a reason
+ */
+export async function interpretExpressionAsync(
+  expression,
+  environment,
+  options = {}
+) {
+  const { signal } = options;
+  throwIfAborted(signal);
+  return evaluate(
+    expression,
+    // The lookup functions only read properties of the environment, so they
+    // work on async environments as well
+    /** @type {InterpreterEnvironment} */ (environment),
+    signal
+  );
+}
+
+/**
+ * @param {AstExpression} expression
+ * @param {InterpreterEnvironment} environment
+ * @param {AbortSignalLike | undefined} signal
+ * @return {Promise<Int32>}
+ */
+async function evaluate(expression, environment, signal) {
+  switch (expression.type) {
+    case "AstBinaryOp": {
+      const leftValue = await evaluate(expression.left, environment, signal);
+      const rightValue = await evaluate(expression.right, environment, signal);
+      return applyBinaryOperator(expression.operator, leftValue, rightValue);
+    }
+    case "AstConditional": {
+      const conditionValue = await evaluate(
+        expression.condition,
+        environment,
+        signal
+      );
+
+      if (conditionValue !== 0) {
+        return evaluate(expression.trueExpression, environment, signal);
+      } else {
+        return evaluate(expression.falseExpression, environment, signal);
+      }
+    }
+    case "AstError":
+      throw expression.error;
+    case "AstFunctionCall": {
+      const { functionName, arg1, arg2 } = expression;
+      const func = lookupFunction(environment, functionName);
+
+      const argValue1 = await evaluate(arg1, environment, signal);
+      const argValue2 = await evaluate(arg2, environment, signal);
+      return invokeWithSignal(
+        func,
+        [argValue1, argValue2],
+        "function",
+        functionName,
+        expression,
+        signal
+      );
+    }
+    case "AstIdentifier": {
+      const { name } = expression;
+      const identifier = lookupIdentifier(environment, name);
+
+      if (typeof identifier === "number") {
+        return toInt32(identifier);
+      } else {
+        return invokeWithSignal(
+          identifier,
+          [],
+          "identifier",
+          name,
+          expression,
+          signal
+        );
+      }
+    }
+    case "AstNumber":
+      return expression.value;
+    case "AstRefFunctionCall":
+      return evaluateRefFunctionCall(expression, environment, signal);
+    case "AstUnaryOp": {
+      switch (expression.operator) {
+        case "-":
+          return toInt32(
+            -(await evaluate(expression.expression, environment, signal))
+          );
+        default:
+          // Exhaustiveness check
+          // Throw here to make ESLint's static analysis work
+          throw createUnhandledUnaryOperatorError(expression);
+      }
+    }
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
+
+/**
+ * @param {AstRefFunctionCall} expression
+ * @param {InterpreterEnvironment} environment
+ * @param {AbortSignalLike | undefined} signal
+ * @return {Promise<Int32>}
+ */
+async function evaluateRefFunctionCall(expression, environment, signal) {
+  const { functionName, reference, code1, code2 } = expression;
+
+  if (code2 == null) {
+    const func = lookupReferenceFunction(environment, functionName);
+    const refValue =
+      typeof reference === "string"
+        ? reference
+        : await evaluate(reference, environment, signal);
+    return invokeWithSignal(
+      func,
+      [refValue, code1],
+      "referenceFunction",
+      functionName,
+      expression,
+      signal
+    );
+  } else {
+    const func = lookupReferenceFunction2Q(environment, functionName);
+    const refValue =
+      typeof reference === "string"
+        ? reference
+        : await evaluate(reference, environment, signal);
+    return invokeWithSignal(
+      func,
+      [refValue, code1, code2],
+      "referenceFunction2Q",
+      functionName,
+      expression,
+      signal
+    );
+  }
+}
+
+/**
+ * Calls a callback in the environment, checking the abort signal before and
+ * after the call. If the signal is aborted while the callback's promise is
+ * pending, the promise is abandoned.
+ *
+ * @param {(...args: any[]) => number | PromiseLike<number>} callback
+ * @param {(string | number)[]} args Arguments to pass to the callback
+ * @param {CallbackKind} kind
+ * @param {string} name Name of the identifier or function
+ * @param {CallbackNode} node AST node that is being evaluated
+ * @param {AbortSignalLike | undefined} signal
+ * @return {Promise<Int32>}
+ */
+async function invokeWithSignal(callback, args, kind, name, node, signal) {
+  throwIfAborted(signal);
+  const value = await raceWithSignal(
+    invokeCallbackAsync(callback, args, kind, name, node),
+    signal
+  );
+  throwIfAborted(signal);
+  return value;
+}
+
+/**
+ * Waits for a promise, but rejects early if the signal is aborted first.
+ * Signals that do not support event listeners are only checked by the caller.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignalLike | undefined} signal
+ * @return {Promise<T>}
+ */
+async function raceWithSignal(promise, signal) {
+  if (
+    !signal ||
+    typeof signal.addEventListener !== "function" ||
+    typeof signal.removeEventListener !== "function"
+  ) {
+    return promise;
+  }
+
+  /** @type {() => void} */
+  let onAbort = () => {};
+  /** @type {Promise<never>} */
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => {
+      try {
+        throwIfAborted(signal);
+      } catch (e) {
+        reject(e);
+      }
+    };
+  });
+
+  signal.addEventListener("abort", onAbort);
+  try {
+    return await Promise.race([promise, aborted]);
+  } finally {
+    signal.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Throws if the signal has been aborted.
+ *
+ * @param {AbortSignalLike | undefined} signal
+ * @throws {unknown} The reason of the signal, or a `D2CalcAbortError` if the
+ *    signal does not have a reason
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason !== undefined
+      ? signal.reason
+      : new D2CalcAbortError("The operation was aborted");
+  }
+}
@@ -0,0 +1,83 @@
+import { CachedInterpreter } from "./cached-interpreter.js";
+import { memoizeEnvironment } from "./environment.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ */
+
+/**
+ * @typedef {object} InterpretAllOptions
+ * @property {CachedInterpreter=} interpreter Interpreter to use. Defaults to a
+ *    new `CachedInterpreter`.
+ * @property {boolean=} memoize Whether to share the results of callbacks in
+ *    the environment between the formulas, so that each callback is called
+ *    only once for the same arguments during the batch. Defaults to `true`.
+ */
+
+/**
+ * @typedef {object} FormulaResult Result of a formula in a batch
+ * @property {number | null} value Result of the formula, or `null` if an error
+ *    occurred
+ * @property {unknown} error Error thrown while interpreting the formula, or
+ *    `null` if there was no error. This is usually a `D2FError`, or a
+ *    `D2CalcCallbackError` if a callback in the environment failed for reasons
+ *    unrelated to D2F code.
+ */
+
+/**
+ * Interprets several formulas with the same environment.
+ *
+ * Any error thrown while interpreting a formula is recorded in its result, and
+ * interpretation continues with the next formula.
+ *
+ * @example
+ * const results = interpretAll({ calc1: "ln12", calc2: "clc1 * 2" }, env);
+ * // { calc1: { value: 10, error: null }, calc2: { value: 20, error: null } }
+ *
+ * @template {string[] | {[key: string]: string}} T
+ * @param {T} formulas Array of D2F code, or object that maps each key to D2F
+ *    code
+ * @param {InterpreterEnvironment=} environment Environment to use when
+ *    interpreting the formulas
+ * @param {InterpretAllOptions=} options
+ * @return {{[K in keyof T]: FormulaResult}} Results of the formulas, in an
+ *    array or an object with the same keys as `formulas`
+ */
+export function interpretAll(formulas, environment = {}, options = {}) {
+  const { interpreter = new CachedInterpreter(), memoize = true } = options;
+  const batchEnvironment = memoize
+    ? memoizeEnvironment(environment)
+    : environment;
+
+  /**
+   * @param {string} text
+   * @return {FormulaResult}
+   */
+  const interpretFormula = (text) => {
+    try {
+      return {
+        value: interpreter.interpret(text, batchEnvironment),
+        error: null,
+      };
+    } catch (e) {
+      return { value: null, error: e };
+    }
+  };
+
+  if (Array.isArray(formulas)) {
+    return /** @type {{[K in keyof T]: FormulaResult}} */ (
+      /** @type {unknown} */ (formulas.map(interpretFormula))
+    );
+  }
+
+  /** @type {{[key: string]: FormulaResult}} */
+  const results = {};
+  for (const key of Object.keys(formulas)) {
+    results[key] = interpretFormula(
+      /** @type {{[key: string]: string}} */ (formulas)[key]
+    );
+  }
+  return /** @type {{[K in keyof T]: FormulaResult}} */ (
+    /** @type {unknown} */ (results)
+  );
+}
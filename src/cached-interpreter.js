@@ -1,26 +1,87 @@
-import { interpretExpression } from "./interpreter.js";
+import { interpretExpressionAsync } from "./async-interpreter.js";
+import { D2FSyntaxError } from "./errors.js";
+import { interpretWithOptions } from "./interpreter.js";
+import { optimize } from "./optimizer.js";
 import { parse } from "./parser.js";
 
 /**
+ * @typedef {import("./async-interpreter.js").AsyncInterpretOptions} AsyncInterpretOptions
+ * @typedef {import("./environment.js").AsyncInterpreterEnvironment} AsyncInterpreterEnvironment
+ * @typedef {import("./errors.js").D2CalcAbortError} D2CalcAbortError
  * @typedef {import("./errors.js").D2FInterpreterError} D2FInterpreterError
- * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./interpreter.js").InterpretOptions} InterpretOptions
  * @typedef {import("./interpreter.js").InterpreterEnvironment} InterpreterEnvironment
  * @typedef {import("./parser.js").AstExpression} AstExpression
  */
 
+/**
+ * @typedef {object} CachedInterpreterOptions
+ * @property {boolean=} optimize
+ *    Whether to optimize the AST with `optimize()` before caching it.
+ *    Defaults to `false`.
+ * @property {number=} maxSize
+ *    Maximum number of ASTs to keep in the cache. When the cache is full, the
+ *    least recently used AST is evicted. Must be a nonnegative integer or
+ *    `Infinity`. Defaults to `Infinity`.
+ */
+
+/**
+ * @typedef {object} CacheStats Statistics of a `CachedInterpreter`'s cache
+ * @property {number} hits Number of times a cached AST was reused
+ * @property {number} misses Number of times code had to be parsed because it
+ *    was not in the cache
+ * @property {number} evictions Number of ASTs evicted because the cache was
+ *    full
+ * @property {number} size Number of ASTs currently in the cache
+ * @property {number} maxSize Maximum number of ASTs in the cache
+ */
+
+/**
+ * @typedef {object} WarmUpFailure Code that could not be added to the cache
+ * @property {string} text D2F code
+ * @property {D2FSyntaxError} error Syntax error in the code
+ */
+
 /**
  * Interpreter that caches the parsed AST in memory, reusing it when the same
  * code is interpreted again.
  *
- * To "delete" the cache, simply delete the CachedInterpreter object.
+ * The cache can be limited in size with the `maxSize` option, in which case
+ * the least recently used ASTs are evicted first. To free the entire cache,
+ * call `clear()` or delete the CachedInterpreter object.
  */
 export class CachedInterpreter {
-  constructor() {
+  /**
+   * @param {CachedInterpreterOptions=} options
+   * @throws {RangeError} If `maxSize` is not a nonnegative integer or
+   *    `Infinity`
+   */
+  constructor(options = {}) {
+    const { maxSize = Infinity } = options;
+    if (
+      !(maxSize >= 0 && (Number.isInteger(maxSize) || maxSize === Infinity))
+    ) {
+      throw new RangeError(
+        `maxSize must be a nonnegative integer or Infinity (got ${maxSize})`
+      );
+    }
+
     /**
+     * Cached ASTs, ordered from least recently used to most recently used.
      * @type {Map<string, AstExpression>}
      * @private
      */
     this.astCache_ = new Map();
+    /** @private */
+    this.optimize_ = Boolean(options.optimize);
+    /** @private */
+    this.maxSize_ = maxSize;
+    /** @private */
+    this.hits_ = 0;
+    /** @private */
+    this.misses_ = 0;
+    /** @private */
+    this.evictions_ = 0;
   }
 
   /**
@@ -33,16 +94,179 @@ export class CachedInterpreter {
    * @param {string} text D2F code
    * @param {InterpreterEnvironment} environment Environment to use when
    *    interpreting the code
+   * @param {InterpretOptions=} options
    * @return {number} Signed 32-bit integer
    * @throws {D2FSyntaxError} If the code is syntactically invalid
    * @throws {D2FInterpreterError} If the code is syntactically valid, but an
    *    error occurs while interpreting the result
    */
-  interpret(text, environment = {}) {
+  interpret(text, environment = {}, options = {}) {
+    return interpretWithOptions(
+      this.getExpression_(text),
+      environment,
+      options
+    );
+  }
+
+  /**
+   * Interprets D2F code and returns a promise that resolves to the result.
+   * Callbacks in the environment may return promises.
+   *
+   * @param {string} text D2F code
+   * @param {AsyncInterpreterEnvironment} environment Environment to use when
+   *    interpreting the code
+   * @param {AsyncInterpretOptions=} options
+   * @return {Promise<number>} Signed 32-bit integer
+   * @throws {D2FSyntaxError} If the code is syntactically invalid
+   * @throws {D2FInterpreterError} If the code is syntactically valid, but an
+   *    error occurs while interpreting the result
+   * @throws {D2CalcAbortError} If the signal is aborted without a reason
+   */
+  async interpretAsync(text, environment = {}, options = {}) {
+    return interpretExpressionAsync(
+      this.getExpression_(text),
+      environment,
+      options
+    );
+  }
+
+  /**
+   * Checks whether the AST of the code is in the cache.
+   * This does not affect the statistics or the order of eviction.
+   *
+   * @param {string} text D2F code
+   * @return {boolean}
+   */
+  has(text) {
+    return this.astCache_.has(text);
+  }
+
+  /**
+   * Removes the AST of the code from the cache.
+   *
+   * @param {string} text D2F code
+   * @return {boolean} `true` if the AST was in the cache
+   */
+  delete(text) {
+    return this.astCache_.delete(text);
+  }
+
+  /**
+   * Removes all ASTs from the cache. The statistics are not reset.
+   */
+  clear() {
+    this.astCache_.clear();
+  }
+
+  /**
+   * Parses each code and adds its AST to the cache, so that interpreting it
+   * later is faster. Code that is already cached is marked as recently used.
+   * Code with syntax errors is skipped.
+   *
+   * This does not affect the hit and miss counts.
+   *
+   * @param {Iterable<string>} texts D2F code to cache
+   * @return {WarmUpFailure[]} Code that could not be cached due to syntax
+   *    errors
+   */
+  warm(texts) {
+    /** @type {WarmUpFailure[]} */
+    const failures = [];
+    for (const text of texts) {
+      const expression = this.astCache_.get(text);
+      if (expression) {
+        this.touch_(text, expression);
+        continue;
+      }
+
+      try {
+        this.store_(text, this.parse_(text));
+      } catch (e) {
+        if (!(e instanceof D2FSyntaxError)) throw e;
+        failures.push({ text, error: e });
+      }
+    }
+    return failures;
+  }
+
+  /**
+   * Returns the statistics of the cache.
+   *
+   * @return {CacheStats}
+   */
+  getStats() {
+    return {
+      hits: this.hits_,
+      misses: this.misses_,
+      evictions: this.evictions_,
+      size: this.astCache_.size,
+      maxSize: this.maxSize_,
+    };
+  }
+
+  /**
+   * Retrieves the AST of the code from the cache, parsing the code if it is
+   * not cached yet.
+   *
+   * @param {string} text D2F code
+   * @return {AstExpression}
+   * @throws {D2FSyntaxError} If the code is syntactically invalid
+   * @private
+   */
+  getExpression_(text) {
     let expression = this.astCache_.get(text);
-    if (!expression) {
-      this.astCache_.set(text, (expression = parse(text)));
+    if (expression) {
+      this.hits_++;
+      this.touch_(text, expression);
+    } else {
+      this.misses_++;
+      expression = this.parse_(text);
+      this.store_(text, expression);
+    }
+    return expression;
+  }
+
+  /**
+   * Parses the code, optimizing it if needed.
+   *
+   * @param {string} text D2F code
+   * @return {AstExpression}
+   * @throws {D2FSyntaxError} If the code is syntactically invalid
+   * @private
+   */
+  parse_(text) {
+    const expression = parse(text);
+    return this.optimize_ ? optimize(expression) : expression;
+  }
+
+  /**
+   * Marks a cached AST as the most recently used.
+   *
+   * @param {string} text D2F code
+   * @param {AstExpression} expression Cached AST of the code
+   * @private
+   */
+  touch_(text, expression) {
+    // Maps iterate in insertion order, so re-inserting the entry moves it to
+    // the end
+    this.astCache_.delete(text);
+    this.astCache_.set(text, expression);
+  }
+
+  /**
+   * Adds an AST to the cache, evicting the least recently used ASTs if the
+   * cache is full.
+   *
+   * @param {string} text D2F code
+   * @param {AstExpression} expression AST of the code
+   * @private
+   */
+  store_(text, expression) {
+    this.astCache_.set(text, expression);
+    while (this.astCache_.size > this.maxSize_) {
+      const oldest = /** @type {string} */ (this.astCache_.keys().next().value);
+      this.astCache_.delete(oldest);
+      this.evictions_++;
     }
-    return interpretExpression(expression, environment);
   }
 }
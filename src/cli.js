@@ -0,0 +1,669 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import repl from "repl";
+
+import { getOwnProperty } from "./environment.js";
+import { D2FError, D2FInterpreterError, D2FValidationError } from "./errors.js";
+import { interpret } from "./interpreter.js";
+import { tokenize } from "./lexer.js";
+import { parse } from "./parser.js";
+import { lintTxtFile, parseTxtFile } from "./txt-file.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./txt-file.js").TxtLintDiagnostic} TxtLintDiagnostic
+ * @typedef {import("./validator.js").EnvironmentSchema} EnvironmentSchema
+ */
+
+/**
+ * Lookup table that maps a key to a number or another lookup table.
+ * @typedef {{[key: string]: number | LookupTable}} LookupTable
+ */
+
+/**
+ * Environment described in a JSON file. Functions are given as lookup tables,
+ * keyed by their arguments in order.
+ * @typedef {object} EnvironmentFile
+ * @property {{[name: string]: number}=} identifiers
+ * @property {{[name: string]: LookupTable}=} functions
+ *    e.g. `{ "min": { "1": { "2": 1 } } }` for `min(1, 2) = 1`
+ * @property {{[name: string]: LookupTable}=} referenceFunctions
+ *    e.g. `{ "skill": { "Fire Bolt": { "blvl": 20 } } }`
+ * @property {{[name: string]: LookupTable}=} referenceFunctions2Q
+ *    e.g. `{ "stat": { "hp": { "accr": { "base": 5 } } } }`
+ */
+
+/**
+ * @typedef {object} CliOptions Parsed command-line arguments
+ * @property {string | null} code D2F code to evaluate, or `null` to start the
+ *    REPL
+ * @property {{[name: string]: number}} defines Identifiers defined with `-D`
+ * @property {string | null} envFile Path of the environment file
+ * @property {boolean} help Whether to print the usage
+ */
+
+/**
+ * @typedef {"text" | "json" | "sarif"} LintFormat
+ */
+
+/**
+ * @typedef {object} LintOptions Parsed arguments of the `lint` command
+ * @property {string | null} directory Directory that contains the .txt files
+ * @property {LintFormat} format Output format
+ * @property {string | null} vocabularyFile Path of the JSON file that
+ *    contains the environment schema. Only `null` if `help` is `true`.
+ * @property {boolean} help Whether to print the usage
+ */
+
+/**
+ * @typedef {object} ReplState
+ * @property {EnvironmentFile} environmentFile Description of the environment
+ * @property {InterpreterEnvironment} environment
+ */
+
+/**
+ * @typedef {object} CliStreams
+ * @property {NodeJS.ReadableStream} stdin
+ * @property {NodeJS.WritableStream} stdout
+ * @property {NodeJS.WritableStream} stderr
+ */
+
+export const USAGE = `Usage: d2calc [options] [code]
+       d2calc lint [options] -v <file> <directory>
+
+Evaluates D2F code and prints the result.
+If no code is given, starts an interactive session (REPL).
+
+Options:
+  -D, --define <name>=<value>  Define an identifier (can be repeated)
+  -e, --env <file>             Load identifiers and functions from a JSON file
+  -h, --help                   Print this message
+
+Example:
+  d2calc "min(lvl * 2, 50)" -D lvl=12
+
+Run "d2calc lint --help" for the options of the lint command.
+`;
+
+export const LINT_USAGE = `Usage: d2calc lint [options] -v <file> <directory>
+
+Checks the D2F code in the .txt files of a directory (e.g. data/global/excel)
+for syntax errors, unknown identifiers, and unknown functions.
+Exits with 1 if any problem is found.
+
+Options:
+  -f, --format <format>     Output format: text (default), json, or sarif
+  -v, --vocabulary <file>   Load the known identifiers and functions from a
+                            JSON file (required)
+  -h, --help                Print this message
+`;
+
+const REPL_HELP = `Enter D2F code to evaluate it, or one of the following commands:
+  :ast <code>     Print the abstract syntax tree of the code
+  :tokens <code>  Print the tokens of the code
+  :env            Print the identifiers and functions in the environment
+  :help           Print this message
+Press Ctrl+D or type .exit to quit.`;
+
+/**
+ * Thrown when the command-line arguments are invalid.
+ */
+export class CliUsageError extends Error {}
+CliUsageError.prototype.name = CliUsageError.name;
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {string[]} args Command-line arguments, excluding the program name
+ * @return {CliOptions}
+ * @throws {CliUsageError} If the arguments are invalid
+ */
+export function parseArguments(args) {
+  /** @type {CliOptions} */
+  const options = { code: null, defines: {}, envFile: null, help: false };
+  let onlyPositional = false;
+
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i];
+
+    if (!onlyPositional && arg.startsWith("-") && arg.length > 1) {
+      if (arg === "--") {
+        onlyPositional = true;
+      } else if (arg === "-h" || arg === "--help") {
+        options.help = true;
+      } else if (arg === "-e" || arg === "--env") {
+        options.envFile = getOptionValue(args, ++i, arg);
+      } else if (arg === "-D" || arg === "--define") {
+        addDefine(options.defines, getOptionValue(args, ++i, arg));
+      } else if (arg.startsWith("-D")) {
+        addDefine(options.defines, arg.slice(2));
+      } else if (/^-\d/.test(arg)) {
+        // Negative numbers are D2F code, not options
+        setCode(options, arg);
+      } else {
+        throw new CliUsageError(`Unknown option: ${arg}`);
+      }
+    } else {
+      setCode(options, arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * @param {string[]} args
+ * @param {number} index Index of the option value
+ * @param {string} option Name of the option, for error messages
+ * @return {string}
+ * @throws {CliUsageError} If the value is missing
+ */
+function getOptionValue(args, index, option) {
+  if (index >= args.length) {
+    throw new CliUsageError(`Missing value for ${option}`);
+  }
+  return args[index];
+}
+
+/**
+ * @param {{[name: string]: number}} defines
+ * @param {string} definition Text in the form of `name=value`
+ * @throws {CliUsageError} If the definition is malformed
+ */
+function addDefine(defines, definition) {
+  const match = /^([A-Za-z]\w*)=(-?\d+)$/.exec(definition);
+  if (!match) {
+    throw new CliUsageError(
+      `Invalid definition "${definition}"; expected <name>=<integer>`
+    );
+  }
+  defines[match[1]] = Number(match[2]);
+}
+
+/**
+ * @param {CliOptions} options
+ * @param {string} code
+ * @throws {CliUsageError} If code has already been given
+ */
+function setCode(options, code) {
+  if (options.code !== null) {
+    throw new CliUsageError(
+      "Too many arguments; wrap the code in quotes if it contains spaces"
+    );
+  }
+  options.code = code;
+}
+
+/**
+ * Functions built into Diablo 2, available even without an environment file.
+ * @type {NonNullable<InterpreterEnvironment["functions"]>}
+ */
+const BUILTIN_FUNCTIONS = {
+  max: (a, b) => Math.max(a, b),
+  min: (a, b) => Math.min(a, b),
+};
+
+/**
+ * Parses the arguments of the `lint` command.
+ *
+ * @param {string[]} args Arguments after `lint`
+ * @return {LintOptions}
+ * @throws {CliUsageError} If the arguments are invalid
+ */
+export function parseLintArguments(args) {
+  /** @type {LintOptions} */
+  const options = {
+    directory: null,
+    format: "text",
+    vocabularyFile: null,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i];
+
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "-f" || arg === "--format") {
+      const format = getOptionValue(args, ++i, arg);
+      if (format !== "text" && format !== "json" && format !== "sarif") {
+        throw new CliUsageError(
+          `Invalid format "${format}"; expected text, json, or sarif`
+        );
+      }
+      options.format = format;
+    } else if (arg === "-v" || arg === "--vocabulary") {
+      options.vocabularyFile = getOptionValue(args, ++i, arg);
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      throw new CliUsageError(`Unknown option: ${arg}`);
+    } else if (options.directory !== null) {
+      throw new CliUsageError("Only one directory can be linted at a time");
+    } else {
+      options.directory = arg;
+    }
+  }
+
+  if (!options.help) {
+    if (options.directory === null) {
+      throw new CliUsageError("Missing directory to lint");
+    }
+    if (options.vocabularyFile === null) {
+      throw new CliUsageError(
+        "Missing vocabulary file; pass it with --vocabulary <file>"
+      );
+    }
+  }
+  return options;
+}
+
+/**
+ * Lints the formula columns of every .txt file in a directory. Files without
+ * known formula columns are skipped. Subdirectories are not searched.
+ *
+ * @param {string} directory
+ * @param {EnvironmentSchema} schema
+ * @return {TxtLintDiagnostic[]} Problems found, sorted by file name
+ */
+export function lintDirectory(directory, schema) {
+  const fileNames = fs
+    .readdirSync(directory)
+    .filter((fileName) => /\.txt$/i.test(fileName))
+    .sort();
+
+  /** @type {TxtLintDiagnostic[]} */
+  const diagnostics = [];
+  for (const fileName of fileNames) {
+    const filePath = path.join(directory, fileName);
+    if (!fs.statSync(filePath).isFile()) continue;
+
+    const table = parseTxtFile(fs.readFileSync(filePath, "utf8"));
+    diagnostics.push(...lintTxtFile(table, { fileName: filePath, schema }));
+  }
+  return diagnostics;
+}
+
+/**
+ * Formats the problems found by the lint command.
+ *
+ * @param {TxtLintDiagnostic[]} diagnostics
+ * @param {LintFormat} format
+ * @return {string}
+ */
+export function formatDiagnostics(diagnostics, format) {
+  switch (format) {
+    case "text":
+      return diagnostics
+        .map(
+          ({ file, line, column, offset, error }) =>
+            `${file}:${line}:${offset + 1}: ${getRuleId(error)}: ${
+              error.message
+            } (column ${column})\n`
+        )
+        .join("");
+    case "json":
+      return `${JSON.stringify(
+        diagnostics.map(({ file, line, column, offset, code, error }) => ({
+          file,
+          line,
+          column,
+          offset,
+          code,
+          rule: getRuleId(error),
+          message: error.message,
+        })),
+        null,
+        2
+      )}\n`;
+    case "sarif":
+      return `${JSON.stringify(createSarifLog(diagnostics), null, 2)}\n`;
+    default:
+      throw new CliUsageError(`Invalid format "${format}"`);
+  }
+}
+
+/**
+ * Creates a SARIF 2.1.0 log of the problems found by the lint command.
+ *
+ * @param {TxtLintDiagnostic[]} diagnostics
+ * @return {object}
+ */
+function createSarifLog(diagnostics) {
+  const ruleIds = Array.from(
+    new Set(diagnostics.map(({ error }) => getRuleId(error)))
+  ).sort();
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "d2calc",
+            informationUri: "https://github.com/pastelmind/d2calc",
+            rules: ruleIds.map((id) => ({ id })),
+          },
+        },
+        results: diagnostics.map(({ file, line, offset, code, error }) => ({
+          ruleId: getRuleId(error),
+          level: "error",
+          message: { text: error.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: file.split(path.sep).join("/") },
+                region: {
+                  startLine: line,
+                  startColumn: offset + 1,
+                  endColumn: offset + 1 + Math.max(error.end - error.start, 1),
+                  snippet: { text: code },
+                },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Retrieves the kind of problem reported by an error.
+ *
+ * @param {TxtLintDiagnostic["error"]} error
+ * @return {string}
+ */
+function getRuleId(error) {
+  return error instanceof D2FValidationError ? error.kind : "SyntaxError";
+}
+
+/**
+ * Runs the `lint` command.
+ *
+ * @param {string[]} args Arguments after `lint`
+ * @param {CliStreams} streams
+ * @return {number} Exit code
+ */
+function runLint(args, streams) {
+  const { stdout, stderr } = streams;
+
+  /** @type {LintOptions} */
+  let options;
+  try {
+    options = parseLintArguments(args);
+  } catch (e) {
+    if (!(e instanceof CliUsageError)) throw e;
+    stderr.write(`${e.message}\n\n${LINT_USAGE}`);
+    return 2;
+  }
+
+  if (
+    options.help ||
+    options.directory === null ||
+    options.vocabularyFile === null
+  ) {
+    stdout.write(LINT_USAGE);
+    return 0;
+  }
+
+  /** @type {EnvironmentSchema} */
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(options.vocabularyFile, "utf8"));
+  } catch (e) {
+    stderr.write(
+      `Cannot load vocabulary file ${options.vocabularyFile}: ${
+        e instanceof Error ? e.message : e
+      }\n`
+    );
+    return 2;
+  }
+
+  /** @type {TxtLintDiagnostic[]} */
+  let diagnostics;
+  try {
+    diagnostics = lintDirectory(options.directory, schema);
+  } catch (e) {
+    stderr.write(
+      `Cannot read directory ${options.directory}: ${
+        e instanceof Error ? e.message : e
+      }\n`
+    );
+    return 2;
+  }
+
+  stdout.write(formatDiagnostics(diagnostics, options.format));
+  return diagnostics.length > 0 ? 1 : 0;
+}
+
+/**
+ * Creates an interpreter environment from the contents of an environment file
+ * and identifiers defined on the command line. The built-in functions `min()`
+ * and `max()` are always available, unless the environment file overrides
+ * them.
+ *
+ * @param {EnvironmentFile} environmentFile
+ * @param {{[name: string]: number}=} defines Identifiers that override those
+ *    in the environment file
+ * @return {InterpreterEnvironment}
+ */
+export function createEnvironment(environmentFile, defines = {}) {
+  /** @type {InterpreterEnvironment} */
+  const environment = {
+    identifiers: Object.assign({}, environmentFile.identifiers, defines),
+    functions: Object.assign({}, BUILTIN_FUNCTIONS),
+    referenceFunctions: {},
+    referenceFunctions2Q: {},
+  };
+
+  const { functions = {}, referenceFunctions = {} } = environmentFile;
+  const { referenceFunctions2Q = {} } = environmentFile;
+  for (const name of Object.keys(functions)) {
+    /** @type {NonNullable<InterpreterEnvironment["functions"]>} */ (
+      environment.functions
+    )[name] = (a, b) => lookUp(functions[name], name, [a, b]);
+  }
+  for (const name of Object.keys(referenceFunctions)) {
+    /** @type {NonNullable<InterpreterEnvironment["referenceFunctions"]>} */ (
+      environment.referenceFunctions
+    )[name] = (ref, code) =>
+      lookUp(referenceFunctions[name], name, [ref, code]);
+  }
+  for (const name of Object.keys(referenceFunctions2Q)) {
+    /** @type {NonNullable<InterpreterEnvironment["referenceFunctions2Q"]>} */ (
+      environment.referenceFunctions2Q
+    )[name] = (ref, code1, code2) =>
+      lookUp(referenceFunctions2Q[name], name, [ref, code1, code2]);
+  }
+
+  return environment;
+}
+
+/**
+ * Looks up the value of a function call in a lookup table.
+ *
+ * @param {LookupTable} table
+ * @param {string} name Name of the function
+ * @param {(string | number)[]} args Arguments of the function call
+ * @return {number}
+ * @throws {D2FInterpreterError} If the table has no entry for the arguments
+ */
+function lookUp(table, name, args) {
+  /** @type {number | LookupTable | undefined} */
+  let entry = table;
+  for (const arg of args) {
+    entry =
+      typeof entry === "object"
+        ? getOwnProperty(entry, String(arg))
+        : undefined;
+  }
+
+  if (typeof entry !== "number") {
+    throw new D2FInterpreterError(
+      `No entry for ${name}(${args
+        .map((arg) => JSON.stringify(arg))
+        .join(", ")}) in the environment file`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Formats an error for printing. If the error has a location in the code,
+ * the offending code is shown as well.
+ *
+ * @param {unknown} error
+ * @param {string} code D2F code that caused the error
+ * @return {string}
+ */
+export function formatError(error, code) {
+  if (!(error instanceof Error)) {
+    return `Error: ${String(error)}`;
+  }
+
+  const message = `${error.name}: ${error.message}`;
+  if ("codeFrame" in error) {
+    const { codeFrame } = /** @type {{codeFrame: (code: string) => string}} */ (
+      /** @type {unknown} */ (error)
+    );
+    return `${message}\n${codeFrame.call(error, code)}`;
+  }
+  return message;
+}
+
+/**
+ * Runs a line of input entered in the REPL and returns the text to print.
+ *
+ * @param {string} line
+ * @param {ReplState} state
+ * @return {string}
+ */
+export function runReplCommand(line, state) {
+  const input = line.trim();
+  const [, command = "", argument = ""] =
+    /^(:\w*)?\s*([^]*)$/.exec(input) || [];
+
+  try {
+    switch (command) {
+      case "":
+        return input ? String(interpret(input, state.environment)) : "";
+      case ":ast":
+        return JSON.stringify(parse(argument), null, 2);
+      case ":tokens":
+        return tokenize(argument)
+          .map(
+            (token) =>
+              `${token.position}\t${token.kind}\t${JSON.stringify(
+                token.rawValue
+              )}`
+          )
+          .join("\n");
+      case ":env":
+        return JSON.stringify(state.environmentFile, null, 2);
+      case ":help":
+        return REPL_HELP;
+      default:
+        return `Unknown command: ${command}\n${REPL_HELP}`;
+    }
+  } catch (e) {
+    if (!(e instanceof D2FError)) throw e;
+    return formatError(e, command ? argument : input);
+  }
+}
+
+/**
+ * Entrypoint of the command-line tool.
+ *
+ * @param {string[]} args Command-line arguments, excluding the program name
+ * @param {CliStreams=} streams Streams to use instead of the process's
+ * @return {Promise<number>} Exit code
+ */
+export async function main(args, streams = process) {
+  const { stdout, stderr } = streams;
+
+  if (args[0] === "lint") {
+    return runLint(args.slice(1), streams);
+  }
+
+  /** @type {CliOptions} */
+  let options;
+  try {
+    options = parseArguments(args);
+  } catch (e) {
+    if (!(e instanceof CliUsageError)) throw e;
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  /** @type {EnvironmentFile} */
+  let environmentFile = {};
+  if (options.envFile !== null) {
+    try {
+      environmentFile = JSON.parse(fs.readFileSync(options.envFile, "utf8"));
+    } catch (e) {
+      stderr.write(
+        `Cannot load environment file ${options.envFile}: ${
+          e instanceof Error ? e.message : e
+        }\n`
+      );
+      return 1;
+    }
+  }
+  environmentFile.identifiers = Object.assign(
+    {},
+    environmentFile.identifiers,
+    options.defines
+  );
+  const environment = createEnvironment(environmentFile);
+
+  if (options.code !== null) {
+    try {
+      stdout.write(`${interpret(options.code, environment)}\n`);
+      return 0;
+    } catch (e) {
+      if (!(e instanceof D2FError)) throw e;
+      stderr.write(`${formatError(e, options.code)}\n`);
+      return 1;
+    }
+  }
+
+  return startRepl(streams, { environmentFile, environment });
+}
+
+/**
+ * Starts an interactive session.
+ *
+ * @param {CliStreams} streams
+ * @param {ReplState} state
+ * @return {Promise<number>} Exit code, resolved when the session ends
+ */
+function startRepl(streams, state) {
+  return new Promise((resolve) => {
+    const server = repl.start({
+      prompt: "d2calc> ",
+      input: streams.stdin,
+      output: streams.stdout,
+      eval: (line, context, file, callback) =>
+        callback(null, runReplCommand(line, state)),
+      writer: (output) => output,
+    });
+
+    // REPLServer.setupHistory() was added in Node.js 11.10
+    if (typeof server.setupHistory === "function") {
+      const historyFile =
+        process.env.D2CALC_HISTORY ||
+        path.join(os.homedir(), ".d2calc_history");
+      server.setupHistory(historyFile, () => {
+        // Ignore errors; the session works without history
+      });
+    }
+
+    server.on("exit", () => resolve(0));
+  });
+}
@@ -0,0 +1,223 @@
+import {
+  invokeCallback,
+  lookupFunction,
+  lookupIdentifier,
+  lookupReferenceFunction,
+  lookupReferenceFunction2Q,
+} from "./environment.js";
+import { D2CalcInternalError } from "./errors.js";
+import {
+  assertUnhandledExpressionType,
+  createUnhandledUnaryOperatorError,
+} from "./exhaustiveness.js";
+import { toInt32 } from "./int32.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2FInterpreterError} D2FInterpreterError
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstBinaryOp} AstBinaryOp
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
+ * @typedef {import("./parser.js").AstUnaryOp} AstUnaryOp
+ */
+
+/**
+ * @callback CompiledFormula
+ * A function compiled from D2F code by `compile()`.
+ * @param {InterpreterEnvironment=} environment Environment to use when
+ *    evaluating the code
+ * @return {number} Signed 32-bit integer
+ * @throws {D2FInterpreterError} If an error occurs while evaluating the code
+ */
+
+/**
+ * Function that evaluates a compiled AST node.
+ * @typedef {(environment: InterpreterEnvironment) => Int32} Evaluator
+ */
+
+/**
+ * Compiles D2F code (or its AST) into a JavaScript function.
+ *
+ * The function can be called repeatedly with different environments. It
+ * produces the same results as `interpret()`, but is faster since it does not
+ * need to walk the AST on every call.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @return {CompiledFormula}
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ */
+export function compile(code) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  const evaluate = compileExpression(expression);
+  return (environment = {}) => evaluate(environment);
+}
+
+/**
+ * Compiles an AST expression node into a closure.
+ *
+ * @param {AstExpression} expression
+ * @return {Evaluator}
+ */
+function compileExpression(expression) {
+  switch (expression.type) {
+    case "AstBinaryOp":
+      return compileBinaryOp(expression);
+    case "AstConditional": {
+      const condition = compileExpression(expression.condition);
+      const trueExpression = compileExpression(expression.trueExpression);
+      const falseExpression = compileExpression(expression.falseExpression);
+      return (environment) =>
+        condition(environment) !== 0
+          ? trueExpression(environment)
+          : falseExpression(environment);
+    }
+    case "AstError": {
+      // Throw only when evaluated, just like the interpreter
+      const { error } = expression;
+      return () => {
+        throw error;
+      };
+    }
+    case "AstFunctionCall": {
+      const { functionName } = expression;
+      const arg1 = compileExpression(expression.arg1);
+      const arg2 = compileExpression(expression.arg2);
+      return (environment) => {
+        const func = lookupFunction(environment, functionName);
+        const argValue1 = arg1(environment);
+        const argValue2 = arg2(environment);
+        return invokeCallback(
+          func,
+          [argValue1, argValue2],
+          "function",
+          functionName,
+          expression
+        );
+      };
+    }
+    case "AstIdentifier": {
+      const { name } = expression;
+      return (environment) => {
+        const identifier = lookupIdentifier(environment, name);
+        return typeof identifier === "number"
+          ? toInt32(identifier)
+          : invokeCallback(identifier, [], "identifier", name, expression);
+      };
+    }
+    case "AstNumber": {
+      const { value } = expression;
+      return () => value;
+    }
+    case "AstRefFunctionCall":
+      return compileRefFunctionCall(expression);
+    case "AstUnaryOp": {
+      const operand = compileExpression(expression.expression);
+      switch (expression.operator) {
+        case "-":
+          return (environment) => toInt32(-operand(environment));
+        default:
+          // Exhaustiveness check
+          // Throw here to make ESLint's static analysis work
+          throw createUnhandledUnaryOperatorError(expression);
+      }
+    }
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
+
+/**
+ * Compiles a binary operator into a closure.
+ *
+ * The operator is resolved here, so that the closure does not need to look it
+ * up every time it is called.
+ *
+ * @param {AstBinaryOp} expression
+ * @return {Evaluator}
+ */
+function compileBinaryOp(expression) {
+  const { operator } = expression;
+  const left = compileExpression(expression.left);
+  const right = compileExpression(expression.right);
+
+  switch (operator) {
+    case "+":
+      return (environment) => toInt32(left(environment) + right(environment));
+    case "-":
+      return (environment) => toInt32(left(environment) - right(environment));
+    case "*":
+      return (environment) =>
+        /** @type {Int32} */ (Math.imul(left(environment), right(environment)));
+    case "/":
+      return (environment) => {
+        const leftValue = left(environment);
+        const rightValue = right(environment);
+        return /** @type {Int32} */ (
+          rightValue === 0 ? 0 : Math.trunc(leftValue / rightValue)
+        );
+      };
+    case "==":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) === right(environment) ? 1 : 0);
+    case "!=":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) !== right(environment) ? 1 : 0);
+    case "<":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) < right(environment) ? 1 : 0);
+    case ">":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) > right(environment) ? 1 : 0);
+    case "<=":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) <= right(environment) ? 1 : 0);
+    case ">=":
+      return (environment) =>
+        /** @type {Int32} */ (left(environment) >= right(environment) ? 1 : 0);
+    default:
+      throw new D2CalcInternalError(`Unknown operator: "${operator}"`);
+  }
+}
+
+/**
+ * Compiles a reference function call into a closure.
+ *
+ * @param {AstRefFunctionCall} expression
+ * @return {Evaluator}
+ */
+function compileRefFunctionCall(expression) {
+  const { functionName, reference, code1, code2 } = expression;
+  /** @type {(environment: InterpreterEnvironment) => string | Int32} */
+  const getReference =
+    typeof reference === "string"
+      ? () => reference
+      : compileExpression(reference);
+
+  if (code2 == null) {
+    return (environment) => {
+      const func = lookupReferenceFunction(environment, functionName);
+      return invokeCallback(
+        func,
+        [getReference(environment), code1],
+        "referenceFunction",
+        functionName,
+        expression
+      );
+    };
+  } else {
+    return (environment) => {
+      const func = lookupReferenceFunction2Q(environment, functionName);
+      return invokeCallback(
+        func,
+        [getReference(environment), code1, code2],
+        "referenceFunction2Q",
+        functionName,
+        expression
+      );
+    };
+  }
+}
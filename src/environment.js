@@ -0,0 +1,492 @@
+import {
+  D2CalcCallbackError,
+  D2FCallbackError,
+  D2FError,
+  D2FInterpreterError,
+} from "./errors.js";
+import { toInt32 } from "./int32.js";
+
+/**
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstFunctionCall} AstFunctionCall
+ * @typedef {import("./parser.js").AstIdentifier} AstIdentifier
+ * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
+ */
+
+/**
+ * AST nodes that call a callback in the environment.
+ * @typedef {AstIdentifier | AstFunctionCall | AstRefFunctionCall} CallbackNode
+ */
+
+/**
+ * @typedef {() => number} IdentifierFunction
+ * Function that returns a signed 32-bit integer.
+ */
+
+/**
+ * @typedef {(a: number, b: number) => number} NumericFunction
+ * Function that takes two numbers as arguments and returns a number.
+ */
+
+/**
+ * @typedef {(reference: string | number, qualifier: string) => number} ReferenceFunction
+ * Function that takes a reference and a qualifier as arguments and returns a
+ * number.
+ */
+
+/**
+ * @typedef {(reference: string | number, qualifier1: string, qualifier2: string) => number} ReferenceFunction2Q
+ * Function that takes a reference and two qualifiers as arguments and returns a
+ * number.
+ */
+
+/**
+ * @typedef {object} InterpreterEnvironment Interpreter environment object
+ * @property {{[name: string]: IdentifierFunction | number}=} identifiers
+ *    Identifiers available in the environment.
+ *    If a number is given, it is used directly as the identifier's value.
+ *    If a function is given, its return value is used.
+ * @property {{[name: string]: NumericFunction}=} functions
+ *    Numeric functions available in the environment.
+ * @property {{[name: string]: ReferenceFunction}=} referenceFunctions
+ *    Single-qualifier reference functions available in the environment.
+ * @property {{[name: string]: ReferenceFunction2Q}=} referenceFunctions2Q
+ *    Double-qualifier reference functions available in the environment.
+ * @property {((name: string) => IdentifierFunction | number | undefined)=} onUnknownIdentifier
+ *    Resolves identifiers that are not in `identifiers`. Returns `undefined`
+ *    if the identifier does not exist.
+ * @property {((name: string) => NumericFunction | undefined)=} onUnknownFunction
+ *    Resolves numeric functions that are not in `functions`. Returns
+ *    `undefined` if the function does not exist.
+ * @property {((name: string) => ReferenceFunction | undefined)=} onUnknownReferenceFunction
+ *    Resolves single-qualifier reference functions that are not in
+ *    `referenceFunctions`. Returns `undefined` if the function does not exist.
+ * @property {((name: string) => ReferenceFunction2Q | undefined)=} onUnknownReferenceFunction2Q
+ *    Resolves double-qualifier reference functions that are not in
+ *    `referenceFunctions2Q`. Returns `undefined` if the function does not
+ *    exist.
+ */
+
+/**
+ * @typedef {object} AsyncInterpreterEnvironment
+ *    Interpreter environment object whose callbacks may return promises
+ * @property {{[name: string]: (() => number | PromiseLike<number>) | number}=} identifiers
+ *    Identifiers available in the environment.
+ * @property {{[name: string]: (a: number, b: number) => number | PromiseLike<number>}=} functions
+ *    Numeric functions available in the environment.
+ * @property {{[name: string]: (reference: string | number, qualifier: string) => number | PromiseLike<number>}=} referenceFunctions
+ *    Single-qualifier reference functions available in the environment.
+ * @property {{[name: string]: (reference: string | number, qualifier1: string, qualifier2: string) => number | PromiseLike<number>}=} referenceFunctions2Q
+ *    Double-qualifier reference functions available in the environment.
+ * @property {((name: string) => (() => number | PromiseLike<number>) | number | undefined)=} onUnknownIdentifier
+ *    Resolves identifiers that are not in `identifiers`.
+ * @property {((name: string) => ((a: number, b: number) => number | PromiseLike<number>) | undefined)=} onUnknownFunction
+ *    Resolves numeric functions that are not in `functions`.
+ * @property {((name: string) => ((reference: string | number, qualifier: string) => number | PromiseLike<number>) | undefined)=} onUnknownReferenceFunction
+ *    Resolves single-qualifier reference functions that are not in
+ *    `referenceFunctions`.
+ * @property {((name: string) => ((reference: string | number, qualifier1: string, qualifier2: string) => number | PromiseLike<number>) | undefined)=} onUnknownReferenceFunction2Q
+ *    Resolves double-qualifier reference functions that are not in
+ *    `referenceFunctions2Q`.
+ */
+
+/**
+ * Kinds of callbacks in an environment.
+ * @typedef {"identifier" | "function" | "referenceFunction" | "referenceFunction2Q"} CallbackKind
+ */
+
+/**
+ * Retrieves the value of an identifier from an environment.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {IdentifierFunction | number}
+ * @throws {D2FInterpreterError} If the identifier does not exist
+ */
+export function lookupIdentifier(environment, name) {
+  const identifier = findIdentifier(environment, name);
+  if (identifier == undefined) {
+    throw new D2FInterpreterError(`Unknown identifier: ${name}`);
+  }
+  return identifier;
+}
+
+/**
+ * Retrieves a numeric function from an environment.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {NumericFunction}
+ * @throws {D2FInterpreterError} If the function does not exist
+ */
+export function lookupFunction(environment, name) {
+  const func = findFunction(environment, name);
+  if (func == undefined) {
+    throw new D2FInterpreterError(`Unknown function: ${name}`);
+  }
+  return func;
+}
+
+/**
+ * Retrieves a single-qualifier reference function from an environment.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {ReferenceFunction}
+ * @throws {D2FInterpreterError} If the function does not exist
+ */
+export function lookupReferenceFunction(environment, name) {
+  const func = findReferenceFunction(environment, name);
+  if (func == undefined) {
+    throw new D2FInterpreterError(
+      `Unknown single-qualifier reference function: ${name}`
+    );
+  }
+  return func;
+}
+
+/**
+ * Retrieves a double-qualifier reference function from an environment.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {ReferenceFunction2Q}
+ * @throws {D2FInterpreterError} If the function does not exist
+ */
+export function lookupReferenceFunction2Q(environment, name) {
+  const func = findReferenceFunction2Q(environment, name);
+  if (func == undefined) {
+    throw new D2FInterpreterError(
+      `Unknown double-qualifier reference function: ${name}`
+    );
+  }
+  return func;
+}
+
+/**
+ * Finds an identifier in an environment, falling back to the
+ * `onUnknownIdentifier` resolver.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {IdentifierFunction | number | undefined}
+ */
+export function findIdentifier(environment, name) {
+  const identifier = getOwnProperty(environment.identifiers, name);
+  if (identifier == undefined && environment.onUnknownIdentifier) {
+    return environment.onUnknownIdentifier(name);
+  }
+  return identifier;
+}
+
+/**
+ * Finds a numeric function in an environment, falling back to the
+ * `onUnknownFunction` resolver.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {NumericFunction | undefined}
+ */
+export function findFunction(environment, name) {
+  const func = getOwnProperty(environment.functions, name);
+  if (func == undefined && environment.onUnknownFunction) {
+    return environment.onUnknownFunction(name);
+  }
+  return func;
+}
+
+/**
+ * Finds a single-qualifier reference function in an environment, falling back
+ * to the `onUnknownReferenceFunction` resolver.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {ReferenceFunction | undefined}
+ */
+export function findReferenceFunction(environment, name) {
+  const func = getOwnProperty(environment.referenceFunctions, name);
+  if (func == undefined && environment.onUnknownReferenceFunction) {
+    return environment.onUnknownReferenceFunction(name);
+  }
+  return func;
+}
+
+/**
+ * Finds a double-qualifier reference function in an environment, falling back
+ * to the `onUnknownReferenceFunction2Q` resolver.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @param {string} name
+ * @return {ReferenceFunction2Q | undefined}
+ */
+export function findReferenceFunction2Q(environment, name) {
+  const func = getOwnProperty(environment.referenceFunctions2Q, name);
+  if (func == undefined && environment.onUnknownReferenceFunction2Q) {
+    return environment.onUnknownReferenceFunction2Q(name);
+  }
+  return func;
+}
+
+/**
+ * Stacks several environments into one. Each identifier and function is
+ * looked up in the last environment first, then in the environment before it,
+ * and so on. Within each environment, the `onUnknown*` resolvers are tried
+ * after the identifiers and functions it owns.
+ *
+ * The environments are not copied, so changes made to them after stacking are
+ * visible to the stacked environment.
+ *
+ * @example
+ * const environment = stackEnvironments(gameDefaults, modOverrides, character);
+ *
+ * @param {...InterpreterEnvironment} layers Environments in order of
+ *    increasing priority
+ * @return {InterpreterEnvironment}
+ */
+export function stackEnvironments(...layers) {
+  return {
+    onUnknownIdentifier: (name) =>
+      findInLayers(layers, (layer) => findIdentifier(layer, name)),
+    onUnknownFunction: (name) =>
+      findInLayers(layers, (layer) => findFunction(layer, name)),
+    onUnknownReferenceFunction: (name) =>
+      findInLayers(layers, (layer) => findReferenceFunction(layer, name)),
+    onUnknownReferenceFunction2Q: (name) =>
+      findInLayers(layers, (layer) => findReferenceFunction2Q(layer, name)),
+  };
+}
+
+/**
+ * Searches environments from last to first, and returns the first result that
+ * is not `undefined`.
+ *
+ * @template T
+ * @param {InterpreterEnvironment[]} layers
+ * @param {(layer: InterpreterEnvironment) => T | undefined} find
+ * @return {T | undefined}
+ */
+function findInLayers(layers, find) {
+  for (let index = layers.length - 1; index >= 0; --index) {
+    const result = find(layers[index]);
+    if (result != undefined) return result;
+  }
+  return undefined;
+}
+
+/**
+ * Calls a callback in the environment and converts its return value to a
+ * signed 32-bit integer.
+ *
+ * @param {(...args: any[]) => number} callback
+ * @param {(string | number)[]} args Arguments to pass to the callback
+ * @param {CallbackKind} kind
+ * @param {string} name Name of the identifier or function
+ * @param {CallbackNode} node AST node that is being evaluated
+ * @return {Int32}
+ * @throws {D2FCallbackError} If the callback throws a `D2FError`
+ * @throws {D2CalcCallbackError} If the callback throws anything else
+ */
+export function invokeCallback(callback, args, kind, name, node) {
+  try {
+    return toInt32(callback(...args));
+  } catch (e) {
+    throw wrapCallbackError(e, args, kind, name, node);
+  }
+}
+
+/**
+ * Calls a callback in the environment, waits for its return value if it is a
+ * promise, and converts the value to a signed 32-bit integer.
+ *
+ * @param {(...args: any[]) => number | PromiseLike<number>} callback
+ * @param {(string | number)[]} args Arguments to pass to the callback
+ * @param {CallbackKind} kind
+ * @param {string} name Name of the identifier or function
+ * @param {CallbackNode} node AST node that is being evaluated
+ * @return {Promise<Int32>}
+ * @throws {D2FCallbackError} If the callback throws a `D2FError` or the promise
+ *    is rejected with one
+ * @throws {D2CalcCallbackError} If the callback throws anything else or the
+ *    promise is rejected with anything else
+ */
+export async function invokeCallbackAsync(callback, args, kind, name, node) {
+  try {
+    return toInt32(await callback(...args));
+  } catch (e) {
+    throw wrapCallbackError(e, args, kind, name, node);
+  }
+}
+
+/**
+ * Wraps an error thrown by a callback. The name of the callback is added to the
+ * message of the new error. A `D2FError` (e.g. because the callback interprets
+ * other D2F code that failed) is wrapped in a `D2FCallbackError`. Anything else
+ * is not caused by D2F code, and is wrapped in a `D2CalcCallbackError`.
+ *
+ * @param {unknown} e Error thrown by the callback
+ * @param {(string | number)[]} args Arguments passed to the callback
+ * @param {CallbackKind} kind
+ * @param {string} name Name of the identifier or function
+ * @param {CallbackNode} node AST node that was being evaluated
+ * @return {D2FCallbackError | D2CalcCallbackError}
+ */
+function wrapCallbackError(e, args, kind, name, node) {
+  const reason = e instanceof Error ? e.message : String(e);
+  const message = `${reason} (caused while ${CALLBACK_DESCRIPTIONS[kind]} "${name}")`;
+
+  if (e instanceof D2FError) {
+    return new D2FCallbackError(message, {
+      cause: e,
+      kind,
+      callbackName: name,
+      args,
+      node,
+    });
+  }
+  return new D2CalcCallbackError(message, {
+    cause: e,
+    kind,
+    callbackName: name,
+    args,
+    node,
+  });
+}
+
+/**
+ * Describes what the interpreter was doing when a callback failed.
+ */
+const CALLBACK_DESCRIPTIONS = {
+  identifier: "evaluating identifier",
+  function: "calling function",
+  referenceFunction: "evaluating single-qualifier reference function",
+  referenceFunction2Q: "evaluating double-qualifier reference function",
+};
+
+/**
+ * Creates a copy of an environment whose callbacks remember their results.
+ * When a callback is called again with the same arguments, the remembered
+ * result is returned instead of calling the callback. Errors thrown by
+ * callbacks are not remembered.
+ *
+ * Only the callbacks that are directly owned by the fields of the environment
+ * are copied, since the interpreter does not use inherited ones. Callbacks
+ * returned by the `onUnknown*` resolvers are memoized as well.
+ *
+ * @param {InterpreterEnvironment} environment
+ * @return {InterpreterEnvironment}
+ */
+export function memoizeEnvironment(environment) {
+  /** @type {Map<string, number>} */
+  const cache = new Map();
+  const {
+    onUnknownIdentifier,
+    onUnknownFunction,
+    onUnknownReferenceFunction,
+    onUnknownReferenceFunction2Q,
+  } = environment;
+
+  return {
+    identifiers: memoizeCallbacks(environment.identifiers, "identifier", cache),
+    functions: memoizeCallbacks(environment.functions, "function", cache),
+    referenceFunctions: memoizeCallbacks(
+      environment.referenceFunctions,
+      "referenceFunction",
+      cache
+    ),
+    referenceFunctions2Q: memoizeCallbacks(
+      environment.referenceFunctions2Q,
+      "referenceFunction2Q",
+      cache
+    ),
+    onUnknownIdentifier:
+      onUnknownIdentifier &&
+      ((name) =>
+        memoizeCallback(onUnknownIdentifier(name), "identifier", name, cache)),
+    onUnknownFunction:
+      onUnknownFunction &&
+      ((name) =>
+        memoizeCallback(onUnknownFunction(name), "function", name, cache)),
+    onUnknownReferenceFunction:
+      onUnknownReferenceFunction &&
+      ((name) =>
+        memoizeCallback(
+          onUnknownReferenceFunction(name),
+          "referenceFunction",
+          name,
+          cache
+        )),
+    onUnknownReferenceFunction2Q:
+      onUnknownReferenceFunction2Q &&
+      ((name) =>
+        memoizeCallback(
+          onUnknownReferenceFunction2Q(name),
+          "referenceFunction2Q",
+          name,
+          cache
+        )),
+  };
+}
+
+/**
+ * Copies the directly-owned properties of an object, replacing each function
+ * with one that stores its results in `cache`.
+ *
+ * @template {{[name: string]: any}} T
+ * @param {T | undefined} callbacks
+ * @param {CallbackKind} kind Used to tell apart callbacks of the same name
+ * @param {Map<string, number>} cache Results of the callbacks, keyed by the
+ *    kind, name, and arguments of each call
+ * @return {T | undefined}
+ */
+function memoizeCallbacks(callbacks, kind, cache) {
+  if (!callbacks) return callbacks;
+
+  /** @type {{[name: string]: any}} */
+  const memoized = {};
+  for (const name of Object.getOwnPropertyNames(callbacks)) {
+    memoized[name] = memoizeCallback(callbacks[name], kind, name, cache);
+  }
+  return /** @type {T} */ (memoized);
+}
+
+/**
+ * Wraps a callback with one that stores its results in `cache`. Values that
+ * are not functions are returned as-is.
+ *
+ * @template T
+ * @param {T} callback
+ * @param {CallbackKind} kind Used to tell apart callbacks of the same name
+ * @param {string} name Name of the identifier or function
+ * @param {Map<string, number>} cache Results of the callbacks, keyed by the
+ *    kind, name, and arguments of each call
+ * @return {T}
+ */
+function memoizeCallback(callback, kind, name, cache) {
+  if (typeof callback !== "function") return callback;
+
+  const memoized = (/** @type {(string | number)[]} */ ...args) => {
+    const key = JSON.stringify([kind, name, ...args]);
+    let result = cache.get(key);
+    if (result === undefined) {
+      result = /** @type {number} */ (callback(...args));
+      cache.set(key, result);
+    }
+    return result;
+  };
+  return /** @type {T} */ (/** @type {unknown} */ (memoized));
+}
+
+/**
+ * Retrieves a property that is directly owned by an object (i.e. not
+ * inherited from its prototype chain).
+ *
+ * @template T
+ * @param {{[name: string]: T} | undefined} object
+ * @param {string} name
+ * @return {T | undefined}
+ */
+export function getOwnProperty(object, name) {
+  return object && Object.prototype.hasOwnProperty.call(object, name)
+    ? object[name]
+    : undefined;
+}
@@ -6,7 +6,11 @@
  *    - D2FError
  *      - D2FSyntaxError
  *      - D2FInterpreterError
+ *        - D2FCallbackError
+ *      - D2FValidationError
  *    - D2CalcInternalError
+ *    - D2CalcAbortError
+ *    - D2CalcCallbackError
  *
  * To handle exceptions caused by invalid D2F code, catch `D2FError` instead.
  *
@@ -22,16 +26,71 @@ D2CalcError.prototype.name = D2CalcError.name;
 export class D2CalcInternalError extends D2CalcError {}
 D2CalcInternalError.prototype.name = D2CalcInternalError.name;
 
+/**
+ * Thrown when an asynchronous operation is aborted via an `AbortSignal` that
+ * does not provide its own `reason`.
+ */
+export class D2CalcAbortError extends D2CalcError {}
+D2CalcAbortError.prototype.name = D2CalcAbortError.name;
+
 /**
  * Base class for exceptions caused by invalid D2F code.
  */
 export class D2FError extends D2CalcError {}
 D2FError.prototype.name = D2FError.name;
 
+/**
+ * @typedef {import("./lexer.js").TokenKind} TokenKind
+ */
+
+/**
+ * @typedef {object} SyntaxErrorInfo Describes where and why a syntax error
+ *    occurred
+ * @property {number} start Position of the first character of the offending
+ *    code
+ * @property {number} end Position after the last character of the offending
+ *    code. For errors at the end of input, this is equal to `start`.
+ * @property {TokenKind | null} tokenKind Kind of the offending token, or
+ *    `null` if the offending code is not a valid token
+ * @property {TokenKind[]} expected Kinds of tokens that would have been
+ *    accepted in place of the offending token. This may be empty if the error
+ *    is not caused by an out-of-place token.
+ */
+
 /**
  * Represents a syntax error in D2F code.
  */
-export class D2FSyntaxError extends D2FError {}
+export class D2FSyntaxError extends D2FError {
+  /**
+   * @param {string} message
+   * @param {Partial<SyntaxErrorInfo>=} info Location of the error. Missing
+   *    fields default to an empty span at the start of the code, no token
+   *    kind, and no expected tokens.
+   */
+  constructor(message, info = {}) {
+    super(message);
+    const { start = 0, end = start, tokenKind = null, expected = [] } = info;
+    /** Position of the first character of the offending code */
+    this.start = start;
+    /** Position after the last character of the offending code */
+    this.end = end;
+    /** Kind of the offending token, or `null` if it is not a valid token */
+    this.tokenKind = tokenKind;
+    /** Kinds of tokens that would have been accepted instead */
+    this.expected = expected;
+  }
+
+  /**
+   * Renders the line of code that caused this error, with carets (`^`)
+   * underneath the offending characters.
+   *
+   * @param {string} code The D2F code that caused this error
+   * @return {string}
+   */
+  codeFrame(code) {
+    return renderCodeFrame(code, this.start, this.end);
+  }
+}
 D2FSyntaxError.prototype.name = D2FSyntaxError.name;
 
 /**
@@ -39,3 +98,146 @@ D2FSyntaxError.prototype.name = D2FSyntaxError.name;
  */
 export class D2FInterpreterError extends D2FError {}
 D2FInterpreterError.prototype.name = D2FInterpreterError.name;
+
+/**
+ * @typedef {import("./environment.js").CallbackKind} CallbackKind
+ * @typedef {import("./parser.js").AstFunctionCall} AstFunctionCall
+ * @typedef {import("./parser.js").AstIdentifier} AstIdentifier
+ * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
+ */
+
+/**
+ * @template C
+ * @typedef {object} CallbackErrorInfo Describes which callback failed
+ * @property {C} cause Error thrown by the callback
+ * @property {CallbackKind} kind Kind of the callback
+ * @property {string} callbackName Name of the identifier or function
+ * @property {(string | number)[]} args Arguments passed to the callback
+ * @property {AstIdentifier | AstFunctionCall | AstRefFunctionCall} node AST
+ *    node that was being evaluated
+ */
+
+/**
+ * Thrown when an identifier, function, or reference function in the
+ * environment throws a `D2FError` (or returns a promise rejected with one),
+ * e.g. because it interprets other D2F code that failed. The original error is
+ * stored in `cause`, unmodified.
+ *
+ * Other errors thrown by callbacks are wrapped in a `D2CalcCallbackError`
+ * instead.
+ */
+export class D2FCallbackError extends D2FInterpreterError {
+  /**
+   * @param {string} message
+   * @param {CallbackErrorInfo<D2FError>} info
+   */
+  constructor(message, info) {
+    super(message);
+    /** Error thrown by the callback */
+    this.cause = info.cause;
+    /** Kind of the callback */
+    this.kind = info.kind;
+    /** Name of the identifier or function */
+    this.callbackName = info.callbackName;
+    /** Arguments passed to the callback */
+    this.args = info.args;
+    /** AST node that was being evaluated */
+    this.node = info.node;
+  }
+}
+D2FCallbackError.prototype.name = D2FCallbackError.name;
+
+/**
+ * Thrown when an identifier, function, or reference function in the
+ * environment throws something that is not a `D2FError` (or returns a promise
+ * rejected with one), e.g. a `TypeError` caused by a bug in the callback. The
+ * original error is stored in `cause`, unmodified.
+ *
+ * Since the error is not caused by D2F code, this is not a `D2FError`.
+ */
+export class D2CalcCallbackError extends D2CalcError {
+  /**
+   * @param {string} message
+   * @param {CallbackErrorInfo<unknown>} info
+   */
+  constructor(message, info) {
+    super(message);
+    /** Error or value thrown by the callback */
+    this.cause = info.cause;
+    /** Kind of the callback */
+    this.kind = info.kind;
+    /** Name of the identifier or function */
+    this.callbackName = info.callbackName;
+    /** Arguments passed to the callback */
+    this.args = info.args;
+    /** AST node that was being evaluated */
+    this.node = info.node;
+  }
+}
+D2CalcCallbackError.prototype.name = D2CalcCallbackError.name;
+
+/**
+ * @typedef {"UnknownIdentifier" | "UnknownFunction" | "ArityMismatch" | "UnknownReferenceFunction" | "UnknownReferenceFunction2Q" | "InvalidDotCode"} ValidationErrorKind
+ * Kinds of problems found by `validate()`
+ */
+
+/**
+ * @typedef {object} ValidationErrorInfo Describes where and why a validation
+ *    error occurred
+ * @property {number} start Position of the first character of the offending
+ *    code
+ * @property {number} end Position after the last character of the offending
+ *    code
+ * @property {ValidationErrorKind} kind Kind of the problem
+ */
+
+/**
+ * Represents D2F code that is syntactically valid, but uses an identifier or
+ * function in a way that is not allowed by an environment schema.
+ */
+export class D2FValidationError extends D2FError {
+  /**
+   * @param {string} message
+   * @param {ValidationErrorInfo} info
+   */
+  constructor(message, info) {
+    super(message);
+    /** Position of the first character of the offending code */
+    this.start = info.start;
+    /** Position after the last character of the offending code */
+    this.end = info.end;
+    /** Kind of the problem */
+    this.kind = info.kind;
+  }
+
+  /**
+   * Renders the line of code that caused this error, with carets (`^`)
+   * underneath the offending characters.
+   *
+   * @param {string} code The D2F code that caused this error
+   * @return {string}
+   */
+  codeFrame(code) {
+    return renderCodeFrame(code, this.start, this.end);
+  }
+}
+D2FValidationError.prototype.name = D2FValidationError.name;
+
+/**
+ * Renders the line of code that contains the given range, with carets (`^`)
+ * underneath the characters in the range.
+ *
+ * @param {string} code
+ * @param {number} start
+ * @param {number} end
+ * @return {string}
+ */
+function renderCodeFrame(code, start, end) {
+  const lineStart = start > 0 ? code.lastIndexOf("\n", start - 1) + 1 : 0;
+  let lineEnd = code.indexOf("\n", start);
+  if (lineEnd === -1) lineEnd = code.length;
+
+  const line = code.slice(lineStart, lineEnd);
+  const caretCount = Math.max(1, Math.min(end, lineEnd) - start);
+  return line + "\n" + " ".repeat(start - lineStart) + "^".repeat(caretCount);
+}
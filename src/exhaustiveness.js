@@ -0,0 +1,35 @@
+import { D2CalcInternalError } from "./errors.js";
+
+/**
+ * @typedef {import("./parser.js").AstUnaryOp} AstUnaryOp
+ */
+
+/**
+ * Helper function to assist TypeScript's exhaustiveness check of unary
+ * operators.
+ *
+ * Returns the error instead of throwing it, so that callers can `throw` it
+ * and ESLint's static analysis can see that the code path ends there.
+ *
+ * @param {never} e
+ * @return {D2CalcInternalError}
+ */
+export function createUnhandledUnaryOperatorError(e) {
+  return new D2CalcInternalError(
+    `Unknown operator: "${/** @type {AstUnaryOp} */ (e).operator}"`
+  );
+}
+
+/**
+ * Helper function to assist TypeScript's exhaustiveness check of AST
+ * expression types.
+ *
+ * @param {never} e
+ * @return {never}
+ */
+export function assertUnhandledExpressionType(e) {
+  throw new D2CalcInternalError(
+    // @ts-ignore Suppress because we want to retrieve the constructor name
+    `Unknown expression type: ${e ? e.constructor.name : e}`
+  );
+}
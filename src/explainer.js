@@ -0,0 +1,40 @@
+import { interpretExpression } from "./interpreter.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2FInterpreterError} D2FInterpreterError
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./trace.js").TraceNode} TraceNode
+ */
+
+/**
+ * @typedef {object} Explanation
+ * @property {number} value Result of the code
+ * @property {TraceNode} trace Evaluation trace of the root node
+ */
+
+/**
+ * Interprets D2F code and returns the result along with a trace of every
+ * intermediate value.
+ *
+ * This is a shorthand for the `trace` option of `interpret()`, which also
+ * accepts an AST.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {InterpreterEnvironment=} environment Environment to use when
+ *    interpreting the code
+ * @return {Explanation}
+ * @throws {D2FSyntaxError} If the code is syntactically invalid
+ * @throws {D2FInterpreterError} If the code is syntactically valid, but an
+ *    error occurs while interpreting the result
+ */
+export function explain(code, environment = {}) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  /** @type {TraceNode[]} */
+  const traces = [];
+  const value = interpretExpression(expression, environment, traces);
+  return { value, trace: traces[0] };
+}
@@ -0,0 +1,209 @@
+import { assertUnhandledExpressionType } from "./exhaustiveness.js";
+import { BINARY_OPERATOR_PRECEDENCE, parse } from "./parser.js";
+
+/**
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ */
+
+/**
+ * @typedef {object} FormatOptions Options for formatting D2F code
+ * @property {boolean=} spaceAroundOperators
+ *    Whether to put spaces around binary operators (`a + b` vs. `a+b`).
+ *    Defaults to `true`.
+ * @property {boolean=} spaceAroundConditional
+ *    Whether to put spaces around the `?` and `:` of conditional expressions
+ *    (`a ? b : c` vs. `a?b:c`). Defaults to `true`.
+ * @property {boolean=} spaceAfterComma
+ *    Whether to put a space after the comma in function calls (`min(a, b)` vs.
+ *    `min(a,b)`). Defaults to `true`.
+ */
+
+/**
+ * Precedence of unary expressions. This is higher than any binary operator,
+ * since the operand of a binary operator can be an unary expression.
+ */
+const UNARY_PRECEDENCE =
+  Object.keys(BINARY_OPERATOR_PRECEDENCE).reduce(
+    (max, operator) =>
+      Math.max(
+        max,
+        BINARY_OPERATOR_PRECEDENCE[
+          /** @type {keyof BINARY_OPERATOR_PRECEDENCE} */ (operator)
+        ]
+      ),
+    0
+  ) + 1;
+
+/**
+ * Precedence of conditional expressions. Diablo 2 parses them _before_ the
+ * unary negative operator, so this is higher than `UNARY_PRECEDENCE`.
+ */
+const CONDITIONAL_PRECEDENCE = UNARY_PRECEDENCE + 1;
+
+/**
+ * Precedence of primary expressions (numbers, identifiers, function calls).
+ * They never need to be wrapped in parentheses.
+ */
+const PRIMARY_PRECEDENCE = CONDITIONAL_PRECEDENCE + 1;
+
+/**
+ * Smallest signed 32-bit integer.
+ * This is the only negative number that can be written as a literal in D2F,
+ * since `2147483648` overflows to it.
+ */
+const INT32_MIN = -2147483648;
+
+/**
+ * Formats D2F code (or its AST) into canonical D2F code.
+ *
+ * The output uses only the parentheses required to preserve the structure of
+ * the AST, so that parsing the output produces the same AST (ignoring the
+ * source locations).
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {FormatOptions=} options
+ * @return {string} Formatted D2F code
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ */
+export function format(code, options = {}) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  const {
+    spaceAroundOperators = true,
+    spaceAroundConditional = true,
+    spaceAfterComma = true,
+  } = options;
+
+  return formatExpression(expression, 0, {
+    operatorSpace: spaceAroundOperators ? " " : "",
+    conditionalSpace: spaceAroundConditional ? " " : "",
+    commaSpace: spaceAfterComma ? " " : "",
+  });
+}
+
+/**
+ * @typedef {object} FormatContext Whitespace used by the formatter
+ * @property {string} operatorSpace
+ * @property {string} conditionalSpace
+ * @property {string} commaSpace
+ */
+
+/**
+ * Formats an AST expression node, wrapping it in parentheses if needed.
+ *
+ * @param {AstExpression} expression
+ * @param {number} minPrecedence Minimum precedence of expressions that can be
+ *    formatted without parentheses in the current position.
+ * @param {FormatContext} context
+ * @return {string}
+ */
+function formatExpression(expression, minPrecedence, context) {
+  const text = formatUnwrappedExpression(expression, context);
+  return getPrecedence(expression) < minPrecedence ? `(${text})` : text;
+}
+
+/**
+ * Formats an AST expression node without surrounding parentheses.
+ *
+ * @param {AstExpression} expression
+ * @param {FormatContext} context
+ * @return {string}
+ */
+function formatUnwrappedExpression(expression, context) {
+  switch (expression.type) {
+    case "AstBinaryOp": {
+      const precedence = BINARY_OPERATOR_PRECEDENCE[expression.operator];
+      const { operatorSpace } = context;
+      // Binary operators are left-associative, so the right side expression
+      // must be wrapped if its precedence is equal to the current operator.
+      return (
+        formatExpression(expression.left, precedence, context) +
+        `${operatorSpace}${expression.operator}${operatorSpace}` +
+        formatExpression(expression.right, precedence + 1, context)
+      );
+    }
+    case "AstConditional": {
+      const { conditionalSpace } = context;
+      // Conditional expressions are left-associative, and their branches
+      // must be primary expressions.
+      return (
+        formatExpression(
+          expression.condition,
+          CONDITIONAL_PRECEDENCE,
+          context
+        ) +
+        `${conditionalSpace}?${conditionalSpace}` +
+        formatExpression(
+          expression.trueExpression,
+          PRIMARY_PRECEDENCE,
+          context
+        ) +
+        `${conditionalSpace}:${conditionalSpace}` +
+        formatExpression(
+          expression.falseExpression,
+          PRIMARY_PRECEDENCE,
+          context
+        )
+      );
+    }
+    case "AstError":
+      throw expression.error;
+    case "AstFunctionCall":
+      return (
+        `${expression.functionName}(` +
+        formatExpression(expression.arg1, 0, context) +
+        `,${context.commaSpace}` +
+        formatExpression(expression.arg2, 0, context) +
+        ")"
+      );
+    case "AstIdentifier":
+      return expression.name;
+    case "AstNumber":
+      return expression.value === INT32_MIN
+        ? "2147483648"
+        : String(expression.value);
+    case "AstRefFunctionCall": {
+      const { reference, code1, code2 } = expression;
+      const referenceText =
+        typeof reference === "string"
+          ? `'${reference}'`
+          : formatExpression(reference, PRIMARY_PRECEDENCE, context);
+      const codes = code2 === null ? `.${code1}` : `.${code1}.${code2}`;
+      return `${expression.functionName}(${referenceText}${codes})`;
+    }
+    case "AstUnaryOp":
+      return (
+        expression.operator +
+        formatExpression(expression.expression, CONDITIONAL_PRECEDENCE, context)
+      );
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
+
+/**
+ * Returns the precedence of an AST expression node, i.e. how tightly it binds
+ * when it is written without parentheses.
+ *
+ * @param {AstExpression} expression
+ * @return {number}
+ */
+function getPrecedence(expression) {
+  switch (expression.type) {
+    case "AstBinaryOp":
+      return BINARY_OPERATOR_PRECEDENCE[expression.operator];
+    case "AstUnaryOp":
+      return UNARY_PRECEDENCE;
+    case "AstConditional":
+      return CONDITIONAL_PRECEDENCE;
+    case "AstNumber":
+      // Negative numbers (except INT32_MIN) are written using the unary
+      // negative operator
+      return expression.value < 0 && expression.value !== INT32_MIN
+        ? UNARY_PRECEDENCE
+        : PRIMARY_PRECEDENCE;
+    default:
+      return PRIMARY_PRECEDENCE;
+  }
+}
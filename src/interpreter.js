@@ -1,6 +1,23 @@
-import { D2CalcInternalError, D2FInterpreterError } from "./errors.js";
-import { toInt32 } from "./int32.js";
+import {
+  invokeCallback,
+  lookupFunction,
+  lookupIdentifier,
+  lookupReferenceFunction,
+  lookupReferenceFunction2Q,
+  memoizeEnvironment,
+} from "./environment.js";
+import { D2CalcInternalError } from "./errors.js";
+import {
+  assertUnhandledExpressionType,
+  createUnhandledUnaryOperatorError,
+} from "./exhaustiveness.js";
+import { isInt32, toInt32 } from "./int32.js";
 import { parse } from "./parser.js";
+import {
+  createSkippedTraceNode,
+  createTraceNode,
+  isOverflow,
+} from "./trace.js";
 
 /**
  * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
@@ -13,42 +30,23 @@ import { parse } from "./parser.js";
  * @typedef {import("./parser.js").AstNumber} AstNumber
  * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
  * @typedef {import("./parser.js").AstUnaryOp} AstUnaryOp
+ * @typedef {import("./environment.js").IdentifierFunction} IdentifierFunction
+ * @typedef {import("./environment.js").NumericFunction} NumericFunction
+ * @typedef {import("./environment.js").ReferenceFunction} ReferenceFunction
+ * @typedef {import("./environment.js").ReferenceFunction2Q} ReferenceFunction2Q
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./trace.js").TraceNode} TraceNode
  */
 
 /**
- * @typedef {() => number} IdentifierFunction
- * Function that returns a signed 32-bit integer.
- */
-
-/**
- * @typedef {(a: number, b: number) => number} NumericFunction
- * Function that takes two numbers as arguments and returns a number.
- */
-
-/**
- * @typedef {(reference: string | number, qualifier: string) => number} ReferenceFunction
- * Function that takes a reference and a qualifier as arguments and returns a
- * number.
- */
-
-/**
- * @typedef {(reference: string | number, qualifier1: string, qualifier2: string) => number} ReferenceFunction2Q
- * Function that takes a reference and two qualifiers as arguments and returns a
- * number.
- */
-
-/**
- * @typedef {object} InterpreterEnvironment Interpreter environment object
- * @property {{[name: string]: IdentifierFunction | number}=} identifiers
- *    Identifiers available in the environment.
- *    If a number is given, it is used directly as the identifier's value.
- *    If a function is given, its return value is used.
- * @property {{[name: string]: NumericFunction}=} functions
- *    Numeric functions available in the environment.
- * @property {{[name: string]: ReferenceFunction}=} referenceFunctions
- *    Single-qualifier reference functions available in the environment.
- * @property {{[name: string]: ReferenceFunction2Q}=} referenceFunctions2Q
- *    Double-qualifier reference functions available in the environment.
+ * @typedef {object} InterpretOptions
+ * @property {boolean=} memoize Whether to remember the result of each
+ *    identifier, function, and reference function callback, so that it is
+ *    called only once for the same arguments while interpreting the code.
+ *    Defaults to `false`.
+ * @property {((trace: TraceNode) => void)=} trace Callback that receives the
+ *    trace of every intermediate value, once the code has been interpreted
+ *    successfully. The trace is not built if this is not given.
  */
 
 /**
@@ -61,14 +59,34 @@ import { parse } from "./parser.js";
  * @param {string} text D2F code
  * @param {InterpreterEnvironment=} environment Environment to use when
  *    interpreting the code
+ * @param {InterpretOptions=} options
  * @return {number} Signed 32-bit integer
  * @throws {D2FSyntaxError} If the code is syntactically invalid
  * @throws {D2FInterpreterError} If the code is syntactically valid, but an
  *    error occurs while interpreting the result
  */
-export function interpret(text, environment = {}) {
-  const expression = parse(text);
-  return interpretExpression(expression, environment);
+export function interpret(text, environment = {}, options = {}) {
+  return interpretWithOptions(parse(text), environment, options);
+}
+
+/**
+ * Evaluates an AST expression node, applying the `memoize` and `trace` options.
+ *
+ * @param {AstExpression} expression
+ * @param {InterpreterEnvironment} environment
+ * @param {InterpretOptions} options
+ * @return {Int32}
+ */
+export function interpretWithOptions(expression, environment, options) {
+  const { memoize, trace } = options;
+  if (memoize) environment = memoizeEnvironment(environment);
+  if (!trace) return interpretExpression(expression, environment);
+
+  /** @type {TraceNode[]} */
+  const traces = [];
+  const value = interpretExpression(expression, environment, traces);
+  trace(traces[0]);
+  return value;
 }
 
 /**
@@ -77,41 +95,88 @@ export function interpret(text, environment = {}) {
  * @param {AstExpression} expression
  * @param {InterpreterEnvironment} environment Environment to use when
  *    interpreting the expression
+ * @param {TraceNode[]=} traces If given, the trace of the expression is
+ *    appended to this array
  * @return {Int32} Signed 32-bit integer
  * @throws {D2FSyntaxError} If the code is syntactically invalid
  * @throws {D2FInterpreterError} If the code is syntactically valid, but an
  *    error occurs while interpreting the result
  */
-export function interpretExpression(expression, environment) {
+export function interpretExpression(expression, environment, traces) {
+  if (!traces) return evaluate(expression, environment, null);
+
+  // Append the trace before evaluating, so that it precedes the traces of its
+  // siblings that are evaluated later
+  const trace = createTraceNode(expression, {});
+  traces.push(trace);
+  const value = evaluate(expression, environment, trace);
+  trace.value = value;
+  return value;
+}
+
+/**
+ * @param {AstExpression} expression
+ * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace Trace of the expression, which receives the
+ *    traces of the child nodes. If `null`, no trace is recorded.
+ * @return {Int32}
+ */
+function evaluate(expression, environment, trace) {
+  const inputs = trace ? trace.inputs : undefined;
+
   switch (expression.type) {
     case "AstBinaryOp":
-      return interpretBinaryOp(expression, environment);
+      return interpretBinaryOp(expression, environment, trace);
     case "AstConditional": {
       const conditionValue = interpretExpression(
         expression.condition,
-        environment
+        environment,
+        inputs
       );
 
       if (conditionValue !== 0) {
-        return interpretExpression(expression.trueExpression, environment);
+        const value = interpretExpression(
+          expression.trueExpression,
+          environment,
+          inputs
+        );
+        if (inputs)
+          inputs.push(createSkippedTraceNode(expression.falseExpression));
+        return value;
       } else {
-        return interpretExpression(expression.falseExpression, environment);
+        if (inputs)
+          inputs.push(createSkippedTraceNode(expression.trueExpression));
+        return interpretExpression(
+          expression.falseExpression,
+          environment,
+          inputs
+        );
       }
     }
+    case "AstError":
+      throw expression.error;
     case "AstFunctionCall":
-      return interpretFunctionCall(expression, environment);
+      return interpretFunctionCall(expression, environment, trace);
     case "AstIdentifier":
-      return interpretIdentifier(expression, environment);
+      return interpretIdentifier(expression, environment, trace);
     case "AstNumber":
       return expression.value;
     case "AstRefFunctionCall":
-      return interpretRefFunctionCall(expression, environment);
+      return interpretRefFunctionCall(expression, environment, trace);
     case "AstUnaryOp": {
       switch (expression.operator) {
-        case "-":
-          return toInt32(
-            -interpretExpression(expression.expression, environment)
+        case "-": {
+          const value = interpretExpression(
+            expression.expression,
+            environment,
+            inputs
           );
+          if (trace) {
+            trace.operator = expression.operator;
+            trace.overflow = !isInt32(-value);
+          }
+          return toInt32(-value);
+        }
         default:
           // Exhaustiveness check
           // Throw here to make ESLint's static analysis work
@@ -125,199 +190,165 @@ export function interpretExpression(expression, environment) {
 }
 
 /**
- * Helper function to assist TypeScript's exhaustiveness check.
- *
- * @param {never} e
- * @return {D2CalcInternalError}
+ * @param {AstBinaryOp} expression
+ * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace
+ * @return {Int32}
  */
-function createUnhandledUnaryOperatorError(e) {
-  return new D2CalcInternalError(
-    `Unknown operator: "${/** @type {AstUnaryOp} */ (e).operator}"`
-  );
-}
+function interpretBinaryOp(expression, environment, trace) {
+  const { operator } = expression;
+  const inputs = trace ? trace.inputs : undefined;
+  const leftValue = interpretExpression(expression.left, environment, inputs);
+  const rightValue = interpretExpression(expression.right, environment, inputs);
 
-/**
- * Helper function to assist TypeScript's exhaustiveness check.
- *
- * @param {never} e
- * @return {never}
- */
-function assertUnhandledExpressionType(e) {
-  throw new D2CalcInternalError(
-    // @ts-ignore Suppress because we want to retrieve the constructor name
-    `Unknown expression type: ${e ? e.constructor.name : e}`
-  );
+  if (trace) {
+    trace.operator = operator;
+    trace.overflow = isOverflow(operator, leftValue, rightValue);
+    trace.divisionByZero = operator === "/" && rightValue === 0;
+  }
+  return applyBinaryOperator(operator, leftValue, rightValue);
 }
 
 /**
- * @param {AstBinaryOp} expression
- * @param {InterpreterEnvironment} environment
+ * Applies a binary operator, using 32-bit signed integer arithmetic.
+ *
+ * @param {AstBinaryOp["operator"]} operator
+ * @param {Int32} a Left operand
+ * @param {Int32} b Right operand
  * @return {Int32}
  */
-function interpretBinaryOp(expression, environment) {
-  const leftValue = interpretExpression(expression.left, environment);
-  const rightValue = interpretExpression(expression.right, environment);
-
-  switch (expression.operator) {
+export function applyBinaryOperator(operator, a, b) {
+  switch (operator) {
     case "+":
-      return toInt32(leftValue + rightValue);
+      return toInt32(a + b);
     case "-":
-      return toInt32(leftValue - rightValue);
+      return toInt32(a - b);
     case "*":
-      return /** @type {Int32} */ (Math.imul(leftValue, rightValue));
+      return /** @type {Int32} */ (Math.imul(a, b));
     case "/":
-      if (rightValue === 0) {
+      if (b === 0) {
         return /** @type {Int32} */ (0);
       } else {
-        return /** @type {Int32} */ (Math.trunc(leftValue / rightValue));
+        return /** @type {Int32} */ (Math.trunc(a / b));
       }
     case "==":
-      return /** @type {Int32} */ (leftValue === rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a === b ? 1 : 0);
     case "!=":
-      return /** @type {Int32} */ (leftValue !== rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a !== b ? 1 : 0);
     case "<":
-      return /** @type {Int32} */ (leftValue < rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a < b ? 1 : 0);
     case ">":
-      return /** @type {Int32} */ (leftValue > rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a > b ? 1 : 0);
     case "<=":
-      return /** @type {Int32} */ (leftValue <= rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a <= b ? 1 : 0);
     case ">=":
-      return /** @type {Int32} */ (leftValue >= rightValue ? 1 : 0);
+      return /** @type {Int32} */ (a >= b ? 1 : 0);
     default:
-      throw new D2CalcInternalError(
-        `Unknown operator: "${expression.operator}"`
-      );
+      throw new D2CalcInternalError(`Unknown operator: "${operator}"`);
   }
 }
 
 /**
  * @param {AstFunctionCall} expression
  * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace
  * @return {Int32}
  */
-function interpretFunctionCall(expression, environment) {
+function interpretFunctionCall(expression, environment, trace) {
   const { functionName, arg1, arg2 } = expression;
-  const { functions = {} } = environment;
-  const func = Object.prototype.hasOwnProperty.call(functions, functionName)
-    ? functions[functionName]
-    : undefined;
+  const func = lookupFunction(environment, functionName);
 
-  if (func == undefined) {
-    throw new D2FInterpreterError(`Unknown function: ${functionName}`);
-  } else {
-    const argValue1 = interpretExpression(arg1, environment);
-    const argValue2 = interpretExpression(arg2, environment);
-
-    try {
-      return toInt32(func(argValue1, argValue2));
-    } catch (e) {
-      if (e instanceof Error) {
-        e.message += ` (caused while calling function "${functionName})"`;
-      }
-      throw e;
-    }
+  const inputs = trace ? trace.inputs : undefined;
+  const args = [
+    interpretExpression(arg1, environment, inputs),
+    interpretExpression(arg2, environment, inputs),
+  ];
+  if (trace) {
+    trace.name = functionName;
+    trace.args = args;
   }
+  return invokeCallback(func, args, "function", functionName, expression);
 }
 
 /**
  * @param {AstIdentifier} expression
  * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace
  * @return {Int32}
  */
-function interpretIdentifier(expression, environment) {
-  const { identifiers = {} } = environment;
-  const identifier = Object.prototype.hasOwnProperty.call(
-    identifiers,
-    expression.name
-  )
-    ? identifiers[expression.name]
-    : undefined;
+function interpretIdentifier(expression, environment, trace) {
+  const identifier = lookupIdentifier(environment, expression.name);
+  if (trace) trace.name = expression.name;
 
-  if (identifier == undefined) {
-    throw new D2FInterpreterError(`Unknown identifier: ${expression.name}`);
-  } else if (typeof identifier === "number") {
+  if (typeof identifier === "number") {
     return toInt32(identifier);
   } else {
-    try {
-      return toInt32(identifier());
-    } catch (e) {
-      if (e instanceof Error) {
-        e.message += ` (caused while evaluating identifier "${expression.name})"`;
-      }
-      throw e;
-    }
+    if (trace) trace.args = [];
+    return invokeCallback(
+      identifier,
+      [],
+      "identifier",
+      expression.name,
+      expression
+    );
   }
 }
 
 /**
  * @param {AstRefFunctionCall} expression
  * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace
  * @return {Int32}
  */
-function interpretRefFunctionCall(expression, environment) {
+function interpretRefFunctionCall(expression, environment, trace) {
   const { functionName, reference, code1, code2 } = expression;
+  if (trace) trace.name = functionName;
 
   if (code2 == null) {
-    const { referenceFunctions = {} } = environment;
-    const func = Object.prototype.hasOwnProperty.call(
-      referenceFunctions,
-      functionName
-    )
-      ? referenceFunctions[functionName]
-      : undefined;
-
-    if (func == undefined) {
-      throw new D2FInterpreterError(
-        `Unknown single-qualifier reference function: ${functionName}`
-      );
-    } else {
-      let refValue;
-      if (typeof reference === "string") {
-        refValue = reference;
-      } else {
-        refValue = interpretExpression(reference, environment);
-      }
-
-      try {
-        return toInt32(func(refValue, code1));
-      } catch (e) {
-        if (e instanceof Error) {
-          e.message += ` (caused while evaluating single-qualifier reference function "${functionName})"`;
-        }
-
-        throw e;
-      }
-    }
+    const func = lookupReferenceFunction(environment, functionName);
+    const args = [interpretReference(reference, environment, trace), code1];
+    if (trace) trace.args = args;
+    return invokeCallback(
+      func,
+      args,
+      "referenceFunction",
+      functionName,
+      expression
+    );
   } else {
-    const { referenceFunctions2Q = {} } = environment;
-    const func = Object.prototype.hasOwnProperty.call(
-      referenceFunctions2Q,
-      functionName
-    )
-      ? referenceFunctions2Q[functionName]
-      : undefined;
-
-    if (func == undefined) {
-      throw new D2FInterpreterError(
-        `Unknown double-qualifier reference function: ${functionName}`
-      );
-    } else {
-      let refValue;
-      if (typeof reference === "string") {
-        refValue = reference;
-      } else {
-        refValue = interpretExpression(reference, environment);
-      }
-
-      try {
-        return toInt32(func(refValue, code1, code2));
-      } catch (e) {
-        if (e instanceof Error) {
-          e.message += ` (caused while evaluating double-qualifier reference function "${functionName})"`;
-        }
+    const func = lookupReferenceFunction2Q(environment, functionName);
+    const args = [
+      interpretReference(reference, environment, trace),
+      code1,
+      code2,
+    ];
+    if (trace) trace.args = args;
+    return invokeCallback(
+      func,
+      args,
+      "referenceFunction2Q",
+      functionName,
+      expression
+    );
+  }
+}
 
-        throw e;
-      }
-    }
+/**
+ * Evaluates the reference of a reference function call.
+ *
+ * @param {string | AstExpression} reference
+ * @param {InterpreterEnvironment} environment
+ * @param {TraceNode | null} trace
+ * @return {string | Int32}
+ */
+function interpretReference(reference, environment, trace) {
+  if (typeof reference === "string") {
+    return reference;
+  } else {
+    return interpretExpression(
+      reference,
+      environment,
+      trace ? trace.inputs : undefined
+    );
   }
 }
@@ -1,23 +1,41 @@
-import { D2FSyntaxError } from "./errors.js";
+import { D2CalcInternalError, D2FSyntaxError } from "./errors.js";
 import { parseInt32 } from "./int32.js";
 
 /**
  * @typedef {import("./int32.js").Int32} Int32
  */
 
+/**
+ * Names for each kind of token. `"EndOfInput"` is used in error messages to
+ * represent the end of the code.
+ * @typedef {"Number" | "Identifier" | "Reference" | "Operator" | "OpeningParenthesis" | "ClosingParenthesis" | "Comma" | "DotCode" | "QuestionMark" | "Colon" | "EndOfInput"} TokenKind
+ */
+
 /**
  * Tokenizes the given string.
  *
  * @param {string} text
+ * @param {D2FSyntaxError[]=} diagnostics If given, malformed tokens are
+ *    recorded in this array and skipped, instead of being thrown.
  * @return {Token[]}
+ * @throws {D2FSyntaxError} If `text` contains a malformed token and
+ *    `diagnostics` is not given
  */
-export function tokenize(text) {
+export function tokenize(text, diagnostics) {
   /** @type {Token[]} */
   const tokens = [];
 
   let currentPos = 0;
   while (currentPos < text.length) {
-    const token = matchTokenAt(text, currentPos);
+    let token;
+    try {
+      token = matchTokenAt(text, currentPos);
+    } catch (e) {
+      if (!(diagnostics && e instanceof D2FSyntaxError)) throw e;
+      diagnostics.push(e);
+      currentPos = e.end;
+      continue;
+    }
     let whitespace;
 
     if (token) {
@@ -29,9 +47,18 @@ export function tokenize(text) {
       const endPos = currentPos + 10;
       let textShown = text.slice(currentPos, endPos);
       if (endPos < text.length) textShown += "...";
-      throw new D2FSyntaxError(
-        `Cannot parse token at index ${currentPos} of input: "${textShown}"`
+      const error = new D2FSyntaxError(
+        `Cannot parse token at index ${currentPos} of input: "${textShown}"`,
+        {
+          start: currentPos,
+          end: currentPos + 1,
+          tokenKind: null,
+          expected: [],
+        }
       );
+      if (!diagnostics) throw error;
+      diagnostics.push(error);
+      currentPos = error.end;
     }
   }
 
@@ -135,7 +162,8 @@ function matchReference(text, index) {
   const endIndex = text.indexOf("'", index + 1);
   if (endIndex === -1) {
     throw new D2FSyntaxError(
-      `No closing single-quote (') character for reference at index ${index}`
+      `No closing single-quote (') character for reference at index ${index}`,
+      { start: index, end: text.length, tokenKind: null, expected: [] }
     );
   }
 
@@ -157,7 +185,8 @@ function matchDotCode(text, index) {
   const code = matchIdentifier(text, index + 1);
   if (code === null) {
     throw new D2FSyntaxError(
-      `Dot (.) is not followed by a valid identifier at index ${index}`
+      `Dot (.) is not followed by a valid identifier at index ${index}`,
+      { start: index, end: index + 1, tokenKind: null, expected: [] }
     );
   }
 
@@ -181,6 +210,15 @@ export class Token {
   endPosition() {
     return this.position + this.rawValue.length;
   }
+
+  /**
+   * @return {TokenKind} Kind of the token
+   */
+  get kind() {
+    throw new D2CalcInternalError(
+      `Token class ${this.constructor.name} does not define its kind`
+    );
+  }
 }
 
 export class NumberToken extends Token {
@@ -193,9 +231,19 @@ export class NumberToken extends Token {
     super(position, rawValue);
     this.number = number;
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "Number";
+  }
 }
 
-export class IdentifierToken extends Token {}
+export class IdentifierToken extends Token {
+  /** @return {TokenKind} */
+  get kind() {
+    return "Identifier";
+  }
+}
 
 export class ReferenceToken extends Token {
   /**
@@ -207,6 +255,11 @@ export class ReferenceToken extends Token {
     super(position, rawValue);
     this.reference = reference;
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "Reference";
+  }
 }
 
 export class OperatorToken extends Token {
@@ -218,6 +271,11 @@ export class OperatorToken extends Token {
     super(position, operator);
     this.operator = operator;
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "Operator";
+  }
 }
 
 export class OpeningParenthesisToken extends Token {
@@ -227,6 +285,11 @@ export class OpeningParenthesisToken extends Token {
   constructor(position) {
     super(position, "(");
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "OpeningParenthesis";
+  }
 }
 export class ClosingParenthesisToken extends Token {
   /**
@@ -235,6 +298,11 @@ export class ClosingParenthesisToken extends Token {
   constructor(position) {
     super(position, ")");
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "ClosingParenthesis";
+  }
 }
 
 /** Token used by function call expressions */
@@ -245,6 +313,11 @@ export class CommaToken extends Token {
   constructor(position) {
     super(position, ",");
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "Comma";
+  }
 }
 
 /** Token used by reference function call expressions */
@@ -258,6 +331,11 @@ export class DotCodeToken extends Token {
     super(position, rawValue);
     this.code = code;
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "DotCode";
+  }
 }
 
 /** Token used by conditional expressions */
@@ -268,6 +346,11 @@ export class QuestionMarkToken extends Token {
   constructor(position) {
     super(position, "?");
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "QuestionMark";
+  }
 }
 
 /** Token used by conditional expressions */
@@ -278,4 +361,9 @@ export class ColonToken extends Token {
   constructor(position) {
     super(position, ":");
   }
+
+  /** @return {TokenKind} */
+  get kind() {
+    return "Colon";
+  }
 }
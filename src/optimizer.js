@@ -0,0 +1,265 @@
+import {
+  findFunction,
+  findIdentifier,
+  findReferenceFunction,
+  findReferenceFunction2Q,
+  invokeCallback,
+} from "./environment.js";
+import {
+  assertUnhandledExpressionType,
+  createUnhandledUnaryOperatorError,
+} from "./exhaustiveness.js";
+import { format } from "./formatter.js";
+import { isInt32, toInt32 } from "./int32.js";
+import { applyBinaryOperator } from "./interpreter.js";
+import {
+  AstBinaryOp,
+  AstConditional,
+  AstFunctionCall,
+  AstNumber,
+  AstRefFunctionCall,
+  AstUnaryOp,
+  parse,
+} from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2CalcCallbackError} D2CalcCallbackError
+ * @typedef {import("./errors.js").D2FCallbackError} D2FCallbackError
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ */
+
+/**
+ * @typedef {object} PartialEvaluation Result of `partialEvaluate()`
+ * @property {AstExpression} expression Residual AST
+ * @property {string} text Residual AST formatted as D2F code
+ */
+
+/**
+ * Optimizes D2F code (or its AST) by folding constant expressions.
+ *
+ * Binary operators, unary operators, and conditionals whose operands are all
+ * numbers are replaced with the resulting number, using the same 32-bit
+ * integer arithmetic as the interpreter. Thus, evaluating the optimized AST
+ * always produces the same result as evaluating the original AST.
+ *
+ * The original AST is not modified. Nodes that cannot be optimized are reused
+ * in the optimized AST. Folded nodes keep the span of the expression they
+ * replace.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @return {AstExpression} Optimized AST
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ */
+export function optimize(code) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  return optimizeExpression(expression, {});
+}
+
+/**
+ * Evaluates the parts of D2F code (or its AST) that only use identifiers and
+ * functions in the environment, and returns the rest of the code as a
+ * residual expression.
+ *
+ * Identifiers in the environment are replaced with their values. Functions
+ * and reference functions in the environment are called if all of their
+ * arguments are known. Constant expressions are then folded like
+ * `optimize()`. Identifiers and functions that are not in the environment are
+ * left as-is.
+ *
+ * Like the interpreter, only the branch selected by a known condition is
+ * evaluated. If the condition is unknown, both branches are evaluated.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {InterpreterEnvironment=} environment Identifiers and functions that
+ *    are known
+ * @return {PartialEvaluation}
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ * @throws {D2FCallbackError} If a callback in the environment throws a
+ *    `D2FError`
+ * @throws {D2CalcCallbackError} If a callback in the environment throws
+ *    anything else
+ */
+export function partialEvaluate(code, environment = {}) {
+  const expression = optimizeExpression(
+    typeof code === "string" ? parse(code) : code,
+    environment
+  );
+  return { expression, text: format(expression) };
+}
+
+/**
+ * @param {AstExpression} expression
+ * @param {InterpreterEnvironment} environment Identifiers and functions to
+ *    substitute. Use an empty environment to only fold constants.
+ * @return {AstExpression}
+ */
+function optimizeExpression(expression, environment) {
+  switch (expression.type) {
+    case "AstBinaryOp": {
+      const left = optimizeExpression(expression.left, environment);
+      const right = optimizeExpression(expression.right, environment);
+
+      if (left.type === "AstNumber" && right.type === "AstNumber") {
+        const value = applyBinaryOperator(
+          expression.operator,
+          left.value,
+          right.value
+        );
+        // Don't fold INT32_MIN / -1, which the interpreter does not wrap
+        if (isInt32(value)) {
+          return new AstNumber(value, expression.span);
+        }
+      }
+
+      if (left === expression.left && right === expression.right) {
+        return expression;
+      }
+      return new AstBinaryOp(expression.operator, left, right, expression.span);
+    }
+    case "AstConditional": {
+      const condition = optimizeExpression(expression.condition, environment);
+
+      // The interpreter only evaluates the branch selected by the condition,
+      // so the other branch can be dropped
+      if (condition.type === "AstNumber") {
+        return optimizeExpression(
+          condition.value !== 0
+            ? expression.trueExpression
+            : expression.falseExpression,
+          environment
+        );
+      }
+
+      const trueExpression = optimizeExpression(
+        expression.trueExpression,
+        environment
+      );
+      const falseExpression = optimizeExpression(
+        expression.falseExpression,
+        environment
+      );
+      if (
+        condition === expression.condition &&
+        trueExpression === expression.trueExpression &&
+        falseExpression === expression.falseExpression
+      ) {
+        return expression;
+      }
+      return new AstConditional(
+        condition,
+        trueExpression,
+        falseExpression,
+        expression.span
+      );
+    }
+    case "AstError":
+      return expression;
+    case "AstFunctionCall": {
+      const { functionName } = expression;
+      const arg1 = optimizeExpression(expression.arg1, environment);
+      const arg2 = optimizeExpression(expression.arg2, environment);
+
+      const func = findFunction(environment, functionName);
+      if (func && arg1.type === "AstNumber" && arg2.type === "AstNumber") {
+        const value = invokeCallback(
+          func,
+          [arg1.value, arg2.value],
+          "function",
+          functionName,
+          expression
+        );
+        return new AstNumber(value, expression.span);
+      }
+
+      if (arg1 === expression.arg1 && arg2 === expression.arg2) {
+        return expression;
+      }
+      return new AstFunctionCall(functionName, arg1, arg2, expression.span);
+    }
+    case "AstIdentifier": {
+      const { name } = expression;
+      const identifier = findIdentifier(environment, name);
+      if (identifier == undefined) {
+        return expression;
+      }
+
+      const value =
+        typeof identifier === "number"
+          ? toInt32(identifier)
+          : invokeCallback(identifier, [], "identifier", name, expression);
+      return new AstNumber(value, expression.span);
+    }
+    case "AstNumber":
+      return expression;
+    case "AstRefFunctionCall": {
+      const { functionName, reference, code1, code2 } = expression;
+      const optimizedReference =
+        typeof reference === "string"
+          ? reference
+          : optimizeExpression(reference, environment);
+
+      const func =
+        code2 == null
+          ? findReferenceFunction(environment, functionName)
+          : findReferenceFunction2Q(environment, functionName);
+      if (
+        func &&
+        (typeof optimizedReference === "string" ||
+          optimizedReference.type === "AstNumber")
+      ) {
+        const refValue =
+          typeof optimizedReference === "string"
+            ? optimizedReference
+            : optimizedReference.value;
+        const value = invokeCallback(
+          func,
+          code2 == null ? [refValue, code1] : [refValue, code1, code2],
+          code2 == null ? "referenceFunction" : "referenceFunction2Q",
+          functionName,
+          expression
+        );
+        return new AstNumber(value, expression.span);
+      }
+
+      if (optimizedReference === reference) {
+        return expression;
+      }
+      return new AstRefFunctionCall(
+        functionName,
+        optimizedReference,
+        code1,
+        code2,
+        expression.span,
+        {
+          reference: expression.referenceSpan,
+          code1: expression.code1Span,
+          code2: expression.code2Span,
+        }
+      );
+    }
+    case "AstUnaryOp": {
+      const operand = optimizeExpression(expression.expression, environment);
+
+      if (operand.type === "AstNumber") {
+        switch (expression.operator) {
+          case "-":
+            return new AstNumber(toInt32(-operand.value), expression.span);
+          default:
+            // Exhaustiveness check
+            // Throw here to make ESLint's static analysis work
+            throw createUnhandledUnaryOperatorError(expression);
+        }
+      }
+
+      if (operand === expression.expression) {
+        return expression;
+      }
+      return new AstUnaryOp(expression.operator, operand, expression.span);
+    }
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
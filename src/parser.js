@@ -16,6 +16,14 @@ import {
 /**
  * @typedef {import("./int32.js").Int32} Int32
  * @typedef {import("./lexer.js").Token} Token
+ * @typedef {import("./lexer.js").TokenKind} TokenKind
+ */
+
+/**
+ * Range of characters in the original D2F code that a node was parsed from.
+ * @typedef {object} SourceSpan
+ * @property {number} start Position of the first character
+ * @property {number} end Position after the last character
  */
 
 /**
@@ -27,14 +35,63 @@ import {
  */
 export function parse(text) {
   const tokens = tokenize(text);
-  const tokenStream = new TokenStream(tokens);
+  const tokenStream = new TokenStream(tokens, text.length);
+  return parseEntireInput(tokenStream);
+}
+
+/**
+ * @typedef {object} ParseResult Result of `parseWithRecovery()`
+ * @property {AstExpression} expression Parsed expression. If the code contains
+ *    syntax errors, the malformed parts are replaced with `AstError` nodes.
+ * @property {D2FSyntaxError[]} diagnostics Syntax errors found in the code,
+ *    sorted by position
+ */
+
+/**
+ * Parses the given string, recovering from syntax errors instead of stopping
+ * at the first one.
+ *
+ * When an error is found, the parser skips ahead to the next comma (`,`),
+ * closing parenthesis (`)`), or colon (`:`) and continues parsing from there.
+ *
+ * @param {string} text
+ * @return {ParseResult}
+ */
+export function parseWithRecovery(text) {
+  /** @type {D2FSyntaxError[]} */
+  const diagnostics = [];
+  const tokens = tokenize(text, diagnostics);
+  const tokenStream = new TokenStream(tokens, text.length, diagnostics);
+  const expression = parseEntireInput(tokenStream);
+
+  diagnostics.sort((a, b) => a.start - b.start);
+  return { expression, diagnostics };
+}
+
+/**
+ * Parses an expression that must span the entire token stream.
+ *
+ * @param {TokenStream} tokenStream
+ * @return {AstExpression}
+ * @throws {D2FSyntaxError} If the expression is malformed, or is followed by
+ *    leftover tokens.
+ */
+function parseEntireInput(tokenStream) {
   const expression = parseExpression(tokenStream);
 
-  const leftoverToken = tokenStream.peek();
-  if (leftoverToken) {
-    throw new D2FSyntaxError(
-      `Unexpected token "${leftoverToken.rawValue}" at position ${leftoverToken.position}`
-    );
+  let leftoverToken;
+  while ((leftoverToken = tokenStream.peek())) {
+    const error = createUnexpectedTokenError(leftoverToken, [
+      ...EXPRESSION_END_TOKEN_KINDS,
+      "EndOfInput",
+    ]);
+    if (!tokenStream.diagnostics) throw error;
+    tokenStream.report(error);
+
+    // Look for more errors in the rest of the input, but discard the result
+    tokenStream.next();
+    tokenStream.skipToExpressionStart();
+    if (tokenStream.peek()) parseExpression(tokenStream);
   }
 
   return expression;
@@ -44,7 +101,7 @@ export function parse(text) {
  * Describes the precedence of binary operators.
  * Precedence values must be nonnegative integers.
  */
-const BINARY_OPERATOR_PRECEDENCE = {
+export const BINARY_OPERATOR_PRECEDENCE = {
   "*": 2,
   "/": 2,
   "+": 1,
@@ -57,6 +114,29 @@ const BINARY_OPERATOR_PRECEDENCE = {
   ">=": 0,
 };
 
+/**
+ * Kinds of tokens that can start a primary expression.
+ * @type {readonly TokenKind[]}
+ */
+const PRIMARY_START_TOKEN_KINDS = [
+  "Number",
+  "Identifier",
+  "OpeningParenthesis",
+];
+
+/**
+ * Kinds of tokens that can start an expression (including the unary negative
+ * operator).
+ * @type {readonly TokenKind[]}
+ */
+const EXPRESSION_START_TOKEN_KINDS = [...PRIMARY_START_TOKEN_KINDS, "Operator"];
+
+/**
+ * Kinds of tokens that can continue a complete expression.
+ * @type {readonly TokenKind[]}
+ */
+const EXPRESSION_END_TOKEN_KINDS = ["Operator", "QuestionMark"];
+
 /**
  * Parses an expression from a token stream.
  *
@@ -67,6 +147,7 @@ const BINARY_OPERATOR_PRECEDENCE = {
  * @throws {D2FSyntaxError} If an expression is malformed.
  */
 function parseExpression(tokenStream, minPrecedence = 0) {
+  const start = tokenStream.nextPosition();
   let expression = parseUnaryExpression(tokenStream);
 
   let operatorToken;
@@ -88,7 +169,12 @@ function parseExpression(tokenStream, minPrecedence = 0) {
     // precedence than the current one. This ensures that operators with equal
     // precedence are parsed left-associatively.
     const rightExpression = parseExpression(tokenStream, precedence + 1);
-    expression = new AstBinaryOp(operator, expression, rightExpression);
+    expression = new AstBinaryOp(
+      operator,
+      expression,
+      rightExpression,
+      tokenStream.spanFrom(start)
+    );
   }
 
   return expression;
@@ -105,22 +191,32 @@ function parseUnaryExpression(tokenStream) {
   const token = tokenStream.peek();
   if (token instanceof OperatorToken && token.operator === "-") {
     tokenStream.next();
-    const innerExpression = parseConditionalExpression(tokenStream);
-    return new AstUnaryOp(token.operator, innerExpression);
+    const innerExpression = parseConditionalExpression(
+      tokenStream,
+      PRIMARY_START_TOKEN_KINDS
+    );
+    return new AstUnaryOp(
+      token.operator,
+      innerExpression,
+      tokenStream.spanFrom(token.position)
+    );
   }
 
-  return parseConditionalExpression(tokenStream);
+  return parseConditionalExpression(tokenStream, EXPRESSION_START_TOKEN_KINDS);
 }
 
 /**
  * Attempts to parse a Conditional Expression.
  *
  * @param {TokenStream} tokenStream
+ * @param {readonly TokenKind[]} expected Kinds of tokens that can start the
+ *    expression in the current position. Used for error reporting.
  * @return {AstExpression}
  * @throws {D2FSyntaxError} If an expression is malformed.
  */
-function parseConditionalExpression(tokenStream) {
-  let conditionExpr = parsePrimaryExpression(tokenStream);
+function parseConditionalExpression(tokenStream, expected) {
+  const start = tokenStream.nextPosition();
+  let conditionExpr = parsePrimaryExpression(tokenStream, expected);
 
   let questionToken;
   while ((questionToken = tokenStream.peek()) instanceof QuestionMarkToken) {
@@ -128,16 +224,32 @@ function parseConditionalExpression(tokenStream) {
 
     const trueExpr = parsePrimaryExpression(tokenStream);
 
-    const colonToken = tokenStream.next().value;
-    assertTokenIsInstanceOf(
-      colonToken,
-      ColonToken,
-      `; expected a colon (:) for conditional expression "${questionToken.rawValue}" at position ${questionToken.position}`
-    );
-
-    const falseExpr = parsePrimaryExpression(tokenStream);
+    let falseExpr;
+    const colonToken = tokenStream.peek();
+    if (colonToken instanceof ColonToken) {
+      tokenStream.next();
+      falseExpr = parsePrimaryExpression(tokenStream);
+    } else {
+      const error = createExpectedTokenError(
+        tokenStream,
+        colonToken,
+        `; expected a colon (:) for conditional expression "${questionToken.rawValue}" at position ${questionToken.position}`,
+        ["Colon"]
+      );
+      falseExpr = recoverFromError(tokenStream, error);
+      // If we skipped to the colon, the false expression can still be parsed
+      if (tokenStream.peek() instanceof ColonToken) {
+        tokenStream.next();
+        falseExpr = parsePrimaryExpression(tokenStream);
+      }
+    }
 
-    conditionExpr = new AstConditional(conditionExpr, trueExpr, falseExpr);
+    conditionExpr = new AstConditional(
+      conditionExpr,
+      trueExpr,
+      falseExpr,
+      tokenStream.spanFrom(start)
+    );
   }
 
   return conditionExpr;
@@ -147,36 +259,44 @@ function parseConditionalExpression(tokenStream) {
  * Attempts to parse a Primary Expression.
  *
  * @param {TokenStream} tokenStream
+ * @param {readonly TokenKind[]=} expected Kinds of tokens that can start the
+ *    expression in the current position. Used for error reporting.
  * @return {AstExpression}
  * @throws {D2FSyntaxError} If an expression is malformed.
  */
-function parsePrimaryExpression(tokenStream) {
-  const token = tokenStream.next().value;
-  assertIsNotEndOfInput(token);
+function parsePrimaryExpression(
+  tokenStream,
+  expected = PRIMARY_START_TOKEN_KINDS
+) {
+  const token = tokenStream.peek();
 
   if (token instanceof NumberToken) {
-    return new AstNumber(token.number);
+    tokenStream.next();
+    return new AstNumber(token.number, tokenSpan(token));
   }
 
   if (token instanceof IdentifierToken) {
+    tokenStream.next();
     return parseFunctionCallArgumentList(tokenStream, token);
   }
 
   if (token instanceof OpeningParenthesisToken) {
+    tokenStream.next();
     const innerExpression = parseExpression(tokenStream);
 
-    const endToken = tokenStream.next().value;
-    assertTokenIsInstanceOf(
-      endToken,
-      ClosingParenthesisToken,
-      `; expected a ")" that matches the "(" at position ${token.position}`
+    const error = consumeClosingParenthesis(
+      tokenStream,
+      `; expected a ")" that matches the "(" at position ${token.position}`,
+      [...EXPRESSION_END_TOKEN_KINDS, "ClosingParenthesis"]
     );
-
-    return innerExpression;
+    return error
+      ? new AstError(error, tokenStream.spanFrom(token.position))
+      : innerExpression;
   }
 
-  throw new D2FSyntaxError(
-    `Unexpected token "${token.rawValue}" at position ${token.position}`
+  return recoverFromError(
+    tokenStream,
+    createExpectedTokenError(tokenStream, token, "", expected)
   );
 }
 
@@ -190,25 +310,59 @@ function parsePrimaryExpression(tokenStream) {
  * @param {TokenStream} tokenStream
  * @param {IdentifierToken} identifierToken Identifier token for
  *    the function name
- * @return {AstFunctionCall | AstRefFunctionCall | AstIdentifier}
+ * @return {AstFunctionCall | AstRefFunctionCall | AstIdentifier | AstError}
  * @throws {D2FSyntaxError} If an expression is malformed.
  */
 function parseFunctionCallArgumentList(tokenStream, identifierToken) {
   const argListBeginToken = tokenStream.peek();
   // Not a function argument list
   if (!(argListBeginToken instanceof OpeningParenthesisToken)) {
-    return new AstIdentifier(identifierToken.rawValue);
+    return new AstIdentifier(
+      identifierToken.rawValue,
+      tokenSpan(identifierToken)
+    );
   }
   tokenStream.next();
 
+  if (!tokenStream.diagnostics) {
+    return parseArguments(tokenStream, identifierToken);
+  }
+
+  const checkpoint = tokenStream.save();
+  try {
+    return parseArguments(tokenStream, identifierToken);
+  } catch (e) {
+    if (!(e instanceof D2FSyntaxError)) throw e;
+
+    // Discard the entire function call
+    tokenStream.report(e);
+    tokenStream.restore(checkpoint);
+    tokenStream.skipPastClosingParenthesis();
+    return new AstError(e, tokenStream.spanFrom(identifierToken.position));
+  }
+}
+
+/**
+ * Parses the arguments of a function call or a reference function call, as
+ * well as the closing parenthesis (`)`).
+ *
+ * @param {TokenStream} tokenStream
+ * @param {IdentifierToken} identifierToken Identifier token for
+ *    the function name
+ * @return {AstFunctionCall | AstRefFunctionCall | AstError}
+ * @throws {D2FSyntaxError} If an expression is malformed.
+ */
+function parseArguments(tokenStream, identifierToken) {
   const funcName = identifierToken.rawValue;
   const funcPos = identifierToken.position;
 
   // Parse argument list
   const firstArgToken = tokenStream.peek();
   assertIsNotEndOfInput(
+    tokenStream,
     firstArgToken,
-    `; expected first argument for function "${funcName}" at position ${funcPos}`
+    `; expected first argument for function "${funcName}" at position ${funcPos}`,
+    [...EXPRESSION_START_TOKEN_KINDS, "Reference"]
   );
 
   // Definitely a reference function call
@@ -217,6 +371,7 @@ function parseFunctionCallArgumentList(tokenStream, identifierToken) {
 
     const dotCodeToken1 = tokenStream.next().value;
     assertTokenIsInstanceOf(
+      tokenStream,
       dotCodeToken1,
       DotCodeToken,
       `; expected first dot code for reference function "${funcName}" at position ${funcPos}`
@@ -226,44 +381,60 @@ function parseFunctionCallArgumentList(tokenStream, identifierToken) {
       tokenStream,
       identifierToken,
       firstArgToken.reference,
-      dotCodeToken1.code
+      tokenSpan(firstArgToken),
+      dotCodeToken1
     );
   }
 
   // Is either a function call or a reference function call
   // Attempt to parse the first argument as an expression
   const argExpression1 = parseExpression(tokenStream);
+  const argSpan1 = tokenStream.spanFrom(firstArgToken.position);
 
   const commaOrDotCodeToken = tokenStream.next().value;
   // Definitely a function call
   if (commaOrDotCodeToken instanceof CommaToken) {
     const argExpression2 = parseExpression(tokenStream);
 
-    const endToken = tokenStream.next().value;
-    assertTokenIsInstanceOf(
-      endToken,
-      ClosingParenthesisToken,
-      `; expected a closing parenthesis for function "${funcName}" at position ${funcPos}`
+    const error = consumeClosingParenthesis(
+      tokenStream,
+      `; expected a closing parenthesis for function "${funcName}" at position ${funcPos}`,
+      [...EXPRESSION_END_TOKEN_KINDS, "ClosingParenthesis"]
     );
+    if (error) return new AstError(error, tokenStream.spanFrom(funcPos));
 
-    return new AstFunctionCall(funcName, argExpression1, argExpression2);
+    return new AstFunctionCall(
+      funcName,
+      argExpression1,
+      argExpression2,
+      tokenStream.spanFrom(funcPos)
+    );
   } else {
     assertTokenIsInstanceOf(
+      tokenStream,
       commaOrDotCodeToken,
       DotCodeToken,
-      `; expected a comma (,) or dot-code (.code) for function "${funcName}" at position ${funcPos}`
+      `; expected a comma (,) or dot-code (.code) for function "${funcName}" at position ${funcPos}`,
+      [...EXPRESSION_END_TOKEN_KINDS, "Comma", "DotCode"]
     );
 
     if (
       !(
         argExpression1 instanceof AstIntegralExpression ||
+        argExpression1 instanceof AstError ||
         firstArgToken instanceof OpeningParenthesisToken
       )
     ) {
       throw new D2FSyntaxError(
         `Disallowed expression at position ${firstArgToken.position}` +
           `; the first argument of the reference function "${funcName}" must be ` +
-          `a number, identifier, or an expression wrapped in parentheses ("()")`
+          `a number, identifier, or an expression wrapped in parentheses ("()")`,
+        {
+          start: argSpan1.start,
+          end: argSpan1.end,
+          tokenKind: firstArgToken.kind,
+          expected: [],
+        }
       );
     }
 
@@ -271,7 +442,8 @@ function parseFunctionCallArgumentList(tokenStream, identifierToken) {
       tokenStream,
       identifierToken,
       argExpression1,
-      commaOrDotCodeToken.code
+      argSpan1,
+      commaOrDotCodeToken
     );
   }
 }
@@ -285,54 +457,79 @@ function parseFunctionCallArgumentList(tokenStream, identifierToken) {
  *    Identifier token for the reference function name
  * @param {string | AstExpression} ref
  *    First argument for the reference function
- * @param {string} dotCode1 First dot code for the reference function
- * @return {AstRefFunctionCall}
+ * @param {SourceSpan} refSpan Span of the first argument, including the quotes
+ *    or parentheses that surround it
+ * @param {DotCodeToken} dotCodeToken1 First dot code for the reference function
+ * @return {AstRefFunctionCall | AstError}
  * @throws {D2FSyntaxError} If an expression is malformed.
  */
-function finishParsingReferenceCall(tokenStream, identifier, ref, dotCode1) {
+function finishParsingReferenceCall(
+  tokenStream,
+  identifier,
+  ref,
+  refSpan,
+  dotCodeToken1
+) {
   const funcName = identifier.rawValue;
   const funcPos = identifier.position;
 
-  const dotCodeToken2 = tokenStream.next().value;
-  assertIsNotEndOfInput(
-    dotCodeToken2,
-    `; expected a closing parenthesis (")") or second dot code for reference function "${funcName}" at position ${funcPos}`
-  );
-
-  let dotCode2;
-  // Single arg
-  if (dotCodeToken2 instanceof ClosingParenthesisToken) {
-    dotCode2 = null;
-  } else {
-    assertTokenIsInstanceOf(
-      dotCodeToken2,
-      DotCodeToken,
-      `; expected a closing parenthesis (")") or second dot code for reference function "${funcName}" at position ${funcPos}`
-    );
+  let dotCode2 = null;
+  let dotCode2Span = null;
+  let error;
+  const dotCodeToken2 = tokenStream.peek();
+  // Two args
+  if (dotCodeToken2 instanceof DotCodeToken) {
+    tokenStream.next();
     dotCode2 = dotCodeToken2.code;
+    dotCode2Span = tokenSpan(dotCodeToken2);
 
-    const endToken = tokenStream.next().value;
-    assertTokenIsInstanceOf(
-      endToken,
-      ClosingParenthesisToken,
-      `; expected a closing parenthesis (")") for reference function "${funcName}" at position ${funcPos}`
+    error = consumeClosingParenthesis(
+      tokenStream,
+      `; expected a closing parenthesis (")") for reference function "${funcName}" at position ${funcPos}`,
+      ["ClosingParenthesis"]
+    );
+  } else {
+    error = consumeClosingParenthesis(
+      tokenStream,
+      `; expected a closing parenthesis (")") or second dot code for reference function "${funcName}" at position ${funcPos}`,
+      ["ClosingParenthesis", "DotCode"]
     );
   }
-
-  return new AstRefFunctionCall(funcName, ref, dotCode1, dotCode2);
+  if (error) return new AstError(error, tokenStream.spanFrom(funcPos));
+
+  return new AstRefFunctionCall(
+    funcName,
+    ref,
+    dotCodeToken1.code,
+    dotCode2,
+    tokenStream.spanFrom(funcPos),
+    {
+      reference: refSpan,
+      code1: tokenSpan(dotCodeToken1),
+      code2: dotCode2Span,
+    }
+  );
 }
 
 /**
  * Asserts that `token` is not an end-of-input token.
  *
+ * @param {TokenStream} tokenStream Token stream that `token` was taken from
  * @param {Token | undefined} token
  * @param {string=} extraMessage String to append to the default error message
+ * @param {readonly TokenKind[]=} expected Kinds of tokens that would have been
+ *    accepted. Used for error reporting.
  * @return {asserts token}
  * @throws {D2FSyntaxError} If `token` is an end-of-input token
  */
-function assertIsNotEndOfInput(token, extraMessage = "") {
+function assertIsNotEndOfInput(
+  tokenStream,
+  token,
+  extraMessage = "",
+  expected = []
+) {
   if (!token) {
-    throw new D2FSyntaxError(`Unexpected end of input${extraMessage}`);
+    throw createExpectedTokenError(tokenStream, token, extraMessage, expected);
   }
 }
 
@@ -340,27 +537,149 @@ function assertIsNotEndOfInput(token, extraMessage = "") {
  * A generic constructor type.
  * Based on https://dev.to/krumpet/generic-type-guard-in-typescript-258l
  * @template T
- * @typedef {{ new (...args: any[]): T }} Constructor
+ * @typedef {{ new (...args: any[]): T, prototype: T }} Constructor
  */
 
 /**
  * Asserts that `token` is an instance of `tokenConstructor`.
  *
+ * @param {TokenStream} tokenStream Token stream that `token` was taken from
  * @param {Token | undefined} token
  * @template {Token} T
  * @param {Constructor<T>} tokenConstructor
  * @param {string=} extraMessage String to append to the default error message
+ * @param {readonly TokenKind[]=} expected Kinds of tokens that would have been
+ *    accepted. Used for error reporting. If omitted, the kind of token
+ *    created by `tokenConstructor` is used.
  * @return {asserts token is T}
  * @throws {D2FSyntaxError} If `token` is an end-of-input token, or otherwise
  *    not an instance of `tokenConstructor`
  */
-function assertTokenIsInstanceOf(token, tokenConstructor, extraMessage = "") {
-  assertIsNotEndOfInput(token, extraMessage);
+function assertTokenIsInstanceOf(
+  tokenStream,
+  token,
+  tokenConstructor,
+  extraMessage = "",
+  expected = [tokenConstructor.prototype.kind]
+) {
+  assertIsNotEndOfInput(tokenStream, token, extraMessage, expected);
   if (!(token instanceof tokenConstructor)) {
-    throw new D2FSyntaxError(
-      `Unexpected token "${token.rawValue}" at position ${token.position}`
-    );
+    throw createUnexpectedTokenError(token, expected);
+  }
+}
+
+/**
+ * Consumes a closing parenthesis (`)`).
+ *
+ * If the next token is not a closing parenthesis and the token stream is in
+ * recovery mode, records the error and skips past the closing parenthesis that
+ * matches the current nesting level.
+ *
+ * @param {TokenStream} tokenStream
+ * @param {string} extraMessage String to append to the error message if the
+ *    end of input is reached
+ * @param {readonly TokenKind[]} expected Kinds of tokens that would have been
+ *    accepted. Used for error reporting.
+ * @return {D2FSyntaxError | null} The error, if any tokens were skipped.
+ *    Returns `null` if the closing parenthesis was found, or if only the
+ *    closing parenthesis is missing at the end of input.
+ * @throws {D2FSyntaxError} If the closing parenthesis is missing and the token
+ *    stream is not in recovery mode
+ */
+function consumeClosingParenthesis(tokenStream, extraMessage, expected) {
+  const token = tokenStream.peek();
+  if (token instanceof ClosingParenthesisToken) {
+    tokenStream.next();
+    return null;
   }
+
+  const error = createExpectedTokenError(
+    tokenStream,
+    token,
+    extraMessage,
+    expected
+  );
+  if (!tokenStream.diagnostics) throw error;
+  tokenStream.report(error);
+
+  if (!token) return null;
+  tokenStream.skipPastClosingParenthesis();
+  return error;
+}
+
+/**
+ * Handles a syntax error that prevents an expression from being parsed.
+ *
+ * If the token stream is in recovery mode, records the error and skips to the
+ * next comma (`,`), closing parenthesis (`)`), or colon (`:`) in the current
+ * nesting level. Otherwise, throws the error.
+ *
+ * @param {TokenStream} tokenStream
+ * @param {D2FSyntaxError} error
+ * @return {AstError} Placeholder for the skipped tokens
+ * @throws {D2FSyntaxError} If the token stream is not in recovery mode
+ */
+function recoverFromError(tokenStream, error) {
+  if (!tokenStream.diagnostics) throw error;
+  tokenStream.report(error);
+
+  const start = tokenStream.nextPosition();
+  tokenStream.skipToSyncToken();
+  return new AstError(error, tokenStream.spanFrom(start));
+}
+
+/**
+ * Creates an exception for a token (or the end of input) that appears in an
+ * unexpected position.
+ *
+ * @param {TokenStream} tokenStream Token stream that `token` was taken from
+ * @param {Token | undefined} token `undefined` for the end of input
+ * @param {string} extraMessage String to append to the error message if the
+ *    end of input is reached
+ * @param {readonly TokenKind[]} expected Kinds of tokens that would have been
+ *    accepted in place of `token`
+ * @return {D2FSyntaxError}
+ */
+function createExpectedTokenError(tokenStream, token, extraMessage, expected) {
+  if (token) return createUnexpectedTokenError(token, expected);
+
+  const position = tokenStream.nextPosition();
+  return new D2FSyntaxError(`Unexpected end of input${extraMessage}`, {
+    start: position,
+    end: position,
+    tokenKind: "EndOfInput",
+    expected: expected.slice(),
+  });
+}
+
+/**
+ * Creates an exception for a token that appears in an unexpected position.
+ *
+ * @param {Token} token
+ * @param {readonly TokenKind[]} expected Kinds of tokens that would have been
+ *    accepted in place of `token`
+ * @return {D2FSyntaxError}
+ */
+function createUnexpectedTokenError(token, expected) {
+  return new D2FSyntaxError(
+    `Unexpected token "${token.rawValue}" at position ${token.position}`,
+    {
+      start: token.position,
+      end: token.endPosition(),
+      tokenKind: token.kind,
+      expected: expected.slice(),
+    }
+  );
+}
+
+/**
+ * Returns the span of characters occupied by a token.
+ *
+ * @param {Token} token
+ * @return {SourceSpan}
+ */
+function tokenSpan(token) {
+  return { start: token.position, end: token.endPosition() };
 }
 
 /**
@@ -369,12 +688,19 @@ function assertTokenIsInstanceOf(token, tokenConstructor, extraMessage = "") {
 class TokenStream {
   /**
    * @param {Token[]} tokens Array of tokens
+   * @param {number} inputLength Length of the original string
+   * @param {D2FSyntaxError[] | null=} diagnostics If given, the parser runs in
+   *    recovery mode and records syntax errors in this array instead of
+   *    throwing them.
    */
-  constructor(tokens) {
+  constructor(tokens, inputLength, diagnostics = null) {
     /** @private */
     this.tokens_ = tokens;
     /** @private */
     this.currentIndex_ = 0;
+    /** @private */
+    this.inputLength_ = inputLength;
+    this.diagnostics = diagnostics;
   }
 
   /**
@@ -402,24 +728,162 @@ class TokenStream {
   peek() {
     return this.tokens_[this.currentIndex_];
   }
+
+  /**
+   * Returns the position of the next token in the original string, or the
+   * length of the original string if the stream contains no more tokens.
+   *
+   * @return {number}
+   */
+  nextPosition() {
+    const token = this.peek();
+    return token ? token.position : this.inputLength_;
+  }
+
+  /**
+   * Returns the span that starts at `start` and ends at the end of the last
+   * token that was consumed.
+   *
+   * @param {number} start
+   * @return {SourceSpan}
+   */
+  spanFrom(start) {
+    const lastToken = this.tokens_[this.currentIndex_ - 1];
+    const end = lastToken ? lastToken.endPosition() : start;
+    // If no token was consumed since `start`, return an empty span
+    return { start, end: Math.max(start, end) };
+  }
+
+  /**
+   * Records a syntax error found in recovery mode.
+   *
+   * After skipping to a comma, closing parenthesis, or colon, the parser may
+   * find that the same token cannot continue the enclosing expression either.
+   * To avoid reporting the token more than once, an error is ignored if it has
+   * the same span as the last recorded error.
+   *
+   * @param {D2FSyntaxError} error
+   */
+  report(error) {
+    const diagnostics = /** @type {D2FSyntaxError[]} */ (this.diagnostics);
+    const last = diagnostics[diagnostics.length - 1];
+    if (last && last.start === error.start && last.end === error.end) return;
+    diagnostics.push(error);
+  }
+
+  /**
+   * Returns the current position in the stream, which can be passed to
+   * `restore()` later.
+   *
+   * @return {number}
+   */
+  save() {
+    return this.currentIndex_;
+  }
+
+  /**
+   * Rewinds the stream to a position returned by `save()`.
+   *
+   * @param {number} checkpoint
+   */
+  restore(checkpoint) {
+    this.currentIndex_ = checkpoint;
+  }
+
+  /**
+   * Skips tokens until the next comma (`,`), closing parenthesis (`)`), or
+   * colon (`:`) that is not nested inside parentheses. The token itself is not
+   * consumed.
+   */
+  skipToSyncToken() {
+    let depth = 0;
+    let token;
+    while ((token = this.peek())) {
+      if (token instanceof OpeningParenthesisToken) {
+        depth++;
+      } else if (token instanceof ClosingParenthesisToken) {
+        if (depth === 0) break;
+        depth--;
+      } else if (
+        depth === 0 &&
+        (token instanceof CommaToken || token instanceof ColonToken)
+      ) {
+        break;
+      }
+      this.next();
+    }
+  }
+
+  /**
+   * Skips tokens until the closing parenthesis (`)`) that is not nested inside
+   * parentheses, and consumes it.
+   */
+  skipPastClosingParenthesis() {
+    let depth = 0;
+    let token;
+    while ((token = this.next().value)) {
+      if (token instanceof OpeningParenthesisToken) {
+        depth++;
+      } else if (token instanceof ClosingParenthesisToken) {
+        if (depth === 0) break;
+        depth--;
+      }
+    }
+  }
+
+  /**
+   * Skips tokens until the next token that can start an expression.
+   */
+  skipToExpressionStart() {
+    let token;
+    while ((token = this.peek())) {
+      if (
+        token instanceof NumberToken ||
+        token instanceof IdentifierToken ||
+        token instanceof OpeningParenthesisToken ||
+        (token instanceof OperatorToken && token.operator === "-")
+      ) {
+        break;
+      }
+      this.next();
+    }
+  }
 }
 
 /**
  * Union type for AST expression nodes
- * @typedef {AstBinaryOp | AstUnaryOp | AstConditional | AstNumber | AstIdentifier | AstFunctionCall | AstRefFunctionCall} AstExpression
+ * @typedef {AstBinaryOp | AstUnaryOp | AstConditional | AstNumber | AstIdentifier | AstFunctionCall | AstRefFunctionCall | AstError} AstExpression
  */
 
+/**
+ * Placeholder for malformed code. Created only by `parseWithRecovery()`.
+ */
+export class AstError {
+  /**
+   * @param {D2FSyntaxError} error Syntax error that caused the code to be
+   *    skipped
+   * @param {SourceSpan | null=} span Location of the skipped code
+   */
+  constructor(error, span = null) {
+    this.type = /** @type {const} */ ("AstError");
+    this.error = error;
+    this.span = span;
+  }
+}
+
 export class AstBinaryOp {
   /**
    * @param {"+" | "-" | "*" | "/" | "==" | "!=" | "<" | ">" | "<=" | ">="} operator
    * @param {AstExpression} left Left side expression
    * @param {AstExpression} right Right side expression
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(operator, left, right) {
+  constructor(operator, left, right, span = null) {
     this.type = /** @type {const} */ ("AstBinaryOp");
     this.operator = operator;
     this.left = left;
     this.right = right;
+    this.span = span;
   }
 }
 
@@ -427,11 +891,13 @@ export class AstUnaryOp {
   /**
    * @param {"-"} operator Unary operator
    * @param {AstExpression} expression Expression to apply the operator
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(operator, expression) {
+  constructor(operator, expression, span = null) {
     this.type = /** @type {const} */ ("AstUnaryOp");
     this.operator = operator;
     this.expression = expression;
+    this.span = span;
   }
 }
 
@@ -440,12 +906,14 @@ export class AstConditional {
    * @param {AstExpression} condition
    * @param {AstExpression} trueExpression Expression to evaluate if condition is true (non-zero)
    * @param {AstExpression} falseExpression Expression to evaluate if condition is false (zero)
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(condition, trueExpression, falseExpression) {
+  constructor(condition, trueExpression, falseExpression, span = null) {
     this.type = /** @type {const} */ ("AstConditional");
     this.condition = condition;
     this.trueExpression = trueExpression;
     this.falseExpression = falseExpression;
+    this.span = span;
   }
 }
 
@@ -458,23 +926,29 @@ export class AstIntegralExpression {}
 
 export class AstNumber extends AstIntegralExpression {
   /**
-   * @param {Int32} value Must be a nonnegative number
+   * @param {Int32} value Value of the number. This is nonnegative in ASTs
+   *    created by the parser (except for `2147483648`, which overflows), but
+   *    may be negative in ASTs created by `optimize()`.
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(value) {
+  constructor(value, span = null) {
     super();
     this.type = /** @type {const} */ ("AstNumber");
     this.value = value;
+    this.span = span;
   }
 }
 
 export class AstIdentifier extends AstIntegralExpression {
   /**
    * @param {string} name
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(name) {
+  constructor(name, span = null) {
     super();
     this.type = /** @type {const} */ ("AstIdentifier");
     this.name = name;
+    this.span = span;
   }
 }
 
@@ -483,29 +957,51 @@ export class AstFunctionCall extends AstIntegralExpression {
    * @param {string} functionName
    * @param {AstExpression} arg1
    * @param {AstExpression} arg2
+   * @param {SourceSpan | null=} span Location in the original code
    */
-  constructor(functionName, arg1, arg2) {
+  constructor(functionName, arg1, arg2, span = null) {
     super();
     this.type = /** @type {const} */ ("AstFunctionCall");
     this.functionName = functionName;
     this.arg1 = arg1;
     this.arg2 = arg2;
+    this.span = span;
   }
 }
 
+/**
+ * @typedef {object} RefFunctionCallSpans
+ * @property {SourceSpan | null=} reference
+ * @property {SourceSpan | null=} code1
+ * @property {SourceSpan | null=} code2
+ */
+
 export class AstRefFunctionCall extends AstIntegralExpression {
   /**
    * @param {string} functionName
    * @param {string | AstExpression} reference
    * @param {string} code1
    * @param {string | null} code2
+   * @param {SourceSpan | null=} span Location in the original code
+   * @param {RefFunctionCallSpans=} spans Locations of the reference and the
+   *    dot codes in the original code
    */
-  constructor(functionName, reference, code1, code2) {
+  constructor(functionName, reference, code1, code2, span = null, spans = {}) {
     super();
     this.type = /** @type {const} */ ("AstRefFunctionCall");
     this.functionName = functionName;
     this.reference = reference;
     this.code1 = code1;
     this.code2 = code2;
+    this.span = span;
+    /**
+     * Location of the reference, including the surrounding quotes (`''`) or
+     * parentheses (`()`)
+     */
+    this.referenceSpan = spans.reference || null;
+    /** Location of the first dot code, including the leading dot */
+    this.code1Span = spans.code1 || null;
+    /** Location of the second dot code, including the leading dot */
+    this.code2Span = spans.code2 || null;
   }
 }
@@ -0,0 +1,320 @@
+import { getOwnProperty } from "./environment.js";
+import { D2CalcInternalError } from "./errors.js";
+import {
+  assertUnhandledExpressionType,
+  createUnhandledUnaryOperatorError,
+} from "./exhaustiveness.js";
+import { isInt32, toInt32 } from "./int32.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./parser.js").AstBinaryOp} AstBinaryOp
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./parser.js").AstUnaryOp} AstUnaryOp
+ * @typedef {import("./parser.js").SourceSpan} SourceSpan
+ */
+
+/**
+ * Inclusive range of integers, given as `[min, max]`.
+ * @typedef {[number, number]} Interval
+ */
+
+/**
+ * @typedef {object} RangeBounds Ranges of the values in an environment
+ * @property {{[name: string]: Interval}=} identifiers
+ *    Maps each identifier name to the range of its value
+ * @property {{[name: string]: Interval}=} functions
+ *    Maps each numeric function name to the range of its return value
+ * @property {{[name: string]: Interval}=} referenceFunctions
+ *    Maps each single-qualifier reference function name to the range of its
+ *    return value
+ * @property {{[name: string]: Interval}=} referenceFunctions2Q
+ *    Maps each double-qualifier reference function name to the range of its
+ *    return value
+ */
+
+/**
+ * @typedef {object} PossibleOverflow Operation that may overflow
+ * @property {string} operator Operator of the operation
+ * @property {SourceSpan | null} span Location of the operation in the code
+ */
+
+/**
+ * @typedef {object} RangeResult
+ * @property {number} min Smallest value the code can produce
+ * @property {number} max Largest value the code can produce
+ * @property {PossibleOverflow[]} overflows Operations that may overflow,
+ *    in the order they are evaluated
+ */
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Range of all signed 32-bit integers.
+ * @type {Interval}
+ */
+const INT32_RANGE = [INT32_MIN, INT32_MAX];
+
+/**
+ * Computes the smallest and largest values that D2F code (or its AST) can
+ * produce, given the ranges of the values in the environment. The code is not
+ * evaluated.
+ *
+ * The analysis uses interval arithmetic that follows the 32-bit integer rules
+ * of the interpreter. The result is guaranteed to contain every value the
+ * code can produce, but may be wider than necessary. Identifiers and functions
+ * missing from `bounds` are assumed to produce any signed 32-bit integer.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {RangeBounds=} bounds
+ * @return {RangeResult}
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically
+ *    invalid, or if the AST contains `AstError` nodes
+ * @throws {RangeError} If an interval in `bounds` is not a valid range of
+ *    signed 32-bit integers
+ */
+export function range(code, bounds = {}) {
+  const expression = typeof code === "string" ? parse(code) : code;
+  /** @type {PossibleOverflow[]} */
+  const overflows = [];
+  const [min, max] = analyzeRange(expression, bounds, overflows);
+  return { min, max, overflows };
+}
+
+/**
+ * @param {AstExpression} expression
+ * @param {RangeBounds} bounds
+ * @param {PossibleOverflow[]} overflows Array to store possible overflows in
+ * @return {Interval}
+ */
+function analyzeRange(expression, bounds, overflows) {
+  switch (expression.type) {
+    case "AstBinaryOp": {
+      const left = analyzeRange(expression.left, bounds, overflows);
+      const right = analyzeRange(expression.right, bounds, overflows);
+      const [result, overflow] = applyBinaryOperator(
+        expression.operator,
+        left,
+        right
+      );
+      if (overflow) {
+        overflows.push({
+          operator: expression.operator,
+          span: expression.span,
+        });
+      }
+      return result;
+    }
+    case "AstConditional": {
+      const [min, max] = analyzeRange(expression.condition, bounds, overflows);
+
+      if (min === 0 && max === 0) {
+        return analyzeRange(expression.falseExpression, bounds, overflows);
+      } else if (min > 0 || max < 0) {
+        return analyzeRange(expression.trueExpression, bounds, overflows);
+      }
+
+      const [trueMin, trueMax] = analyzeRange(
+        expression.trueExpression,
+        bounds,
+        overflows
+      );
+      const [falseMin, falseMax] = analyzeRange(
+        expression.falseExpression,
+        bounds,
+        overflows
+      );
+      return [Math.min(trueMin, falseMin), Math.max(trueMax, falseMax)];
+    }
+    case "AstError":
+      throw expression.error;
+    case "AstFunctionCall":
+      analyzeRange(expression.arg1, bounds, overflows);
+      analyzeRange(expression.arg2, bounds, overflows);
+      return getBounds(bounds.functions, expression.functionName);
+    case "AstIdentifier":
+      return getBounds(bounds.identifiers, expression.name);
+    case "AstNumber":
+      return [expression.value, expression.value];
+    case "AstRefFunctionCall":
+      if (typeof expression.reference !== "string") {
+        analyzeRange(expression.reference, bounds, overflows);
+      }
+      return getBounds(
+        expression.code2 == null
+          ? bounds.referenceFunctions
+          : bounds.referenceFunctions2Q,
+        expression.functionName
+      );
+    case "AstUnaryOp": {
+      const [min, max] = analyzeRange(expression.expression, bounds, overflows);
+
+      switch (expression.operator) {
+        case "-": {
+          const [result, overflow] = wrap(-max, -min);
+          if (overflow) {
+            overflows.push({
+              operator: expression.operator,
+              span: expression.span,
+            });
+          }
+          return result;
+        }
+        default:
+          // Exhaustiveness check
+          // Throw here to make ESLint's static analysis work
+          throw createUnhandledUnaryOperatorError(expression);
+      }
+    }
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
+
+/**
+ * Retrieves the range of an identifier or function.
+ *
+ * @param {{[name: string]: Interval} | undefined} intervals
+ * @param {string} name
+ * @return {Interval} The range given in `intervals`, or the range of all
+ *    signed 32-bit integers if there is none
+ * @throws {RangeError} If the range is invalid
+ */
+function getBounds(intervals, name) {
+  const interval = getOwnProperty(intervals, name);
+  if (interval === undefined) return INT32_RANGE;
+
+  const [min, max] = interval;
+  if (!(isInt32(min) && isInt32(max) && min <= max)) {
+    throw new RangeError(
+      `Invalid range for "${name}": [${min}, ${max}] is not a range of signed 32-bit integers`
+    );
+  }
+  return [min, max];
+}
+
+/**
+ * Computes the range of a binary operation.
+ *
+ * @param {AstBinaryOp["operator"]} operator
+ * @param {Interval} left
+ * @param {Interval} right
+ * @return {[Interval, boolean]} Range of the result, and whether the
+ *    operation may overflow
+ */
+function applyBinaryOperator(operator, [a, b], [c, d]) {
+  switch (operator) {
+    case "+":
+      return wrap(a + c, b + d);
+    case "-":
+      return wrap(a - d, b - c);
+    case "*": {
+      const products = [a * c, a * d, b * c, b * d];
+      return wrap(Math.min(...products), Math.max(...products));
+    }
+    case "/":
+      return divide([a, b], [c, d]);
+    case "==":
+      return [
+        booleanRange(a === b && b === c && c === d, b < c || d < a),
+        false,
+      ];
+    case "!=":
+      return [
+        booleanRange(b < c || d < a, a === b && b === c && c === d),
+        false,
+      ];
+    case "<":
+      return [booleanRange(b < c, a >= d), false];
+    case ">":
+      return [booleanRange(a > d, b <= c), false];
+    case "<=":
+      return [booleanRange(b <= c, a > d), false];
+    case ">=":
+      return [booleanRange(a >= d, b < c), false];
+    default:
+      throw new D2CalcInternalError(`Unknown operator: "${operator}"`);
+  }
+}
+
+/**
+ * Computes the range of a comparison, which produces either 0 or 1.
+ *
+ * @param {boolean} alwaysTrue Whether the comparison is always true
+ * @param {boolean} alwaysFalse Whether the comparison is always false
+ * @return {Interval}
+ */
+function booleanRange(alwaysTrue, alwaysFalse) {
+  return alwaysTrue ? [1, 1] : alwaysFalse ? [0, 0] : [0, 1];
+}
+
+/**
+ * Computes the range of a truncated integer division, where division by zero
+ * produces 0.
+ *
+ * @param {Interval} dividend
+ * @param {Interval} divisor
+ * @return {[Interval, boolean]} Range of the result, and whether the
+ *    operation may overflow
+ */
+function divide([a, b], [c, d]) {
+  /** @type {number[]} */
+  const candidates = [];
+
+  if (c <= 0 && 0 <= d) {
+    // Division by zero produces 0
+    candidates.push(0);
+  }
+  // Within each part of the divisor that does not contain zero, the quotient
+  // is monotonic in both operands, so its extremes are found at the corners.
+  for (const [low, high] of [
+    [c, Math.min(d, -1)],
+    [Math.max(c, 1), d],
+  ]) {
+    if (low <= high) {
+      for (const divisor of [low, high]) {
+        candidates.push(Math.trunc(a / divisor), Math.trunc(b / divisor));
+      }
+    }
+  }
+
+  // Add 0 to turn -0 into 0
+  const min = Math.min(...candidates) + 0;
+  const max = Math.max(...candidates) + 0;
+  // The interpreter does not wrap INT32_MIN / -1, so neither do we
+  return [[min, max], !(isInt32(min) && isInt32(max))];
+}
+
+/**
+ * Wraps the range of an arithmetic operation to signed 32-bit integers.
+ *
+ * @param {number} min Smallest value of the operation before wrapping
+ * @param {number} max Largest value of the operation before wrapping
+ * @return {[Interval, boolean]} Range of the result, and whether the
+ *    operation may overflow
+ */
+function wrap(min, max) {
+  if (isInt32(min) && isInt32(max)) {
+    return [[min, max], false];
+  }
+
+  // If the range is narrow enough, and both ends wrap around by the same
+  // amount, the wrapped range is still contiguous.
+  // Values beyond 2 ** 53 may be imprecise, so we give up on them.
+  if (
+    max - min < UINT32_RANGE &&
+    Math.abs(min) <= Number.MAX_SAFE_INTEGER &&
+    Math.abs(max) <= Number.MAX_SAFE_INTEGER
+  ) {
+    const wrappedMin = toInt32(min);
+    const wrappedMax = toInt32(max);
+    if (wrappedMin <= wrappedMax) {
+      return [[wrappedMin, wrappedMax], true];
+    }
+  }
+  return [INT32_RANGE, true];
+}
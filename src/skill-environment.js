@@ -0,0 +1,157 @@
+import { D2FInterpreterError } from "./errors.js";
+import { toInt32 } from "./int32.js";
+import { applyBinaryOperator, interpretExpression } from "./interpreter.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ */
+
+/** @type {(a: Int32, b: Int32) => Int32} */
+const add = (a, b) => applyBinaryOperator("+", a, b);
+/** @type {(a: Int32, b: Int32) => Int32} */
+const subtract = (a, b) => applyBinaryOperator("-", a, b);
+/** @type {(a: Int32, b: Int32) => Int32} */
+const multiply = (a, b) => applyBinaryOperator("*", a, b);
+/** @type {(a: Int32, b: Int32) => Int32} */
+const divide = (a, b) => applyBinaryOperator("/", a, b);
+
+/**
+ * Row of skills.txt, which maps each column name to its value.
+ * Blank or missing cells are treated as 0.
+ * @typedef {{[column: string]: string | number | null | undefined}} SkillRow
+ */
+
+/**
+ * @typedef {object} SkillLevelOptions
+ * @property {number} slvl Skill level, including bonuses from items and other
+ *    skills. This is the value of `lvl`.
+ * @property {number=} blvl Base skill level, i.e. the number of hard points.
+ *    Defaults to `slvl`.
+ */
+
+/**
+ * Creates an environment that provides the identifiers used by the formulas
+ * in skills.txt:
+ *
+ * - `lvl`, `blvl`: Skill level and base skill level
+ * - `par1`-`par8`: Values of the `Param1`-`Param8` columns
+ * - `ln12`, `ln34`, `ln56`, `ln78`: Linear functions of the skill level, e.g.
+ *   `ln12 = par1 + (lvl - 1) * par2`
+ * - `dm12`, `dm34`, `dm56`, `dm78`: Diminishing returns functions of the skill
+ *   level, e.g. `dm12 = par1 + (par2 - par1) * (110 * lvl / (lvl + 6)) / 100`
+ * - `clc1`-`clc4`: Results of the formulas in the `calc1`-`calc4` columns
+ * - `toht`: Attack rating bonus, i.e. `ToHit + (lvl - 1) * LevToHit`
+ *
+ * All values are computed with 32-bit integer arithmetic, like the game.
+ *
+ * @param {SkillRow} skillRow Row of skills.txt
+ * @param {SkillLevelOptions} options
+ * @return {InterpreterEnvironment}
+ * @throws {TypeError} If a numeric column of the row contains a value that is
+ *    not a number
+ */
+export function createSkillEnvironment(skillRow, options) {
+  const lvl = toInt32(options.slvl);
+  const blvl = toInt32(options.blvl === undefined ? lvl : options.blvl);
+  const par = [1, 2, 3, 4, 5, 6, 7, 8].map((n) =>
+    getNumber(skillRow, `Param${n}`)
+  );
+
+  /** @type {{[name: string]: number | (() => number)}} */
+  const identifiers = { lvl, blvl };
+  par.forEach((value, index) => {
+    identifiers[`par${index + 1}`] = value;
+  });
+  for (let n = 1; n < 8; n += 2) {
+    identifiers[`ln${n}${n + 1}`] = linear(lvl, par[n - 1], par[n]);
+    identifiers[`dm${n}${n + 1}`] = diminishing(lvl, par[n - 1], par[n]);
+  }
+  identifiers.toht = linear(
+    lvl,
+    getNumber(skillRow, "ToHit"),
+    getNumber(skillRow, "LevToHit")
+  );
+
+  /** @type {InterpreterEnvironment} */
+  const environment = { identifiers };
+  /**
+   * Names of calc identifiers that are being evaluated, to detect cycles
+   * @type {Set<string>}
+   */
+  const evaluating = new Set();
+
+  for (let n = 1; n <= 4; ++n) {
+    const column = `calc${n}`;
+    const identifier = `clc${n}`;
+    const code = skillRow[column];
+    /** @type {AstExpression | undefined} */
+    let expression;
+
+    identifiers[identifier] = () => {
+      if (code == null || String(code).trim() === "") return 0;
+      if (evaluating.has(identifier)) {
+        throw new D2FInterpreterError(
+          `Circular reference: ${identifier} depends on itself`
+        );
+      }
+
+      evaluating.add(identifier);
+      try {
+        if (!expression) expression = parse(String(code));
+        return interpretExpression(expression, environment);
+      } finally {
+        evaluating.delete(identifier);
+      }
+    };
+  }
+
+  return environment;
+}
+
+/**
+ * Computes a value that grows linearly with the skill level.
+ *
+ * @param {Int32} lvl Skill level
+ * @param {Int32} base Value at level 1
+ * @param {Int32} perLevel Increase per level
+ * @return {Int32}
+ */
+function linear(lvl, base, perLevel) {
+  return add(base, multiply(subtract(lvl, toInt32(1)), perLevel));
+}
+
+/**
+ * Computes a value that grows with diminishing returns as the skill level
+ * increases. It starts at `min` and approaches `max` at high levels.
+ *
+ * @param {Int32} lvl Skill level
+ * @param {Int32} min
+ * @param {Int32} max
+ * @return {Int32}
+ */
+function diminishing(lvl, min, max) {
+  const ratio = divide(multiply(toInt32(110), lvl), add(lvl, toInt32(6)));
+  return add(min, divide(multiply(subtract(max, min), ratio), toInt32(100)));
+}
+
+/**
+ * Reads a numeric column of a skills.txt row. Blank cells are read as 0.
+ *
+ * @param {SkillRow} skillRow
+ * @param {string} column
+ * @return {Int32}
+ * @throws {TypeError} If the cell does not contain a number
+ */
+function getNumber(skillRow, column) {
+  const value = skillRow[column];
+  if (value == null || String(value).trim() === "") return toInt32(0);
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new TypeError(`Column "${column}" is not a number: "${value}"`);
+  }
+  return toInt32(number);
+}
@@ -0,0 +1,218 @@
+import { D2FInterpreterError } from "./errors.js";
+import { interpretExpression } from "./interpreter.js";
+import { parse } from "./parser.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ */
+
+/**
+ * @callback EnvironmentFactory
+ * Creates the environment to use for a row of a level table.
+ * @param {number} input Value of the table variable for the row
+ * @return {InterpreterEnvironment}
+ */
+
+/**
+ * @typedef {object} TabulateOptions
+ * @property {string=} variable Name of the identifier to vary in each row.
+ *    Defaults to `"lvl"`.
+ * @property {number=} from First value of the variable. Defaults to 1.
+ * @property {number} to Last value of the variable (inclusive)
+ * @property {number=} step Difference between the values of the variable in
+ *    adjacent rows. Defaults to 1.
+ * @property {string=} label Header of the result column. Defaults to
+ *    `"value"`.
+ */
+
+/**
+ * @typedef {object} TableRow
+ * @property {number} input Value of the variable
+ * @property {number | null} value Result of the code, or `null` if an error
+ *    occurred
+ * @property {D2FInterpreterError | null} error Error thrown while interpreting
+ *    the code, or `null` if there was no error
+ */
+
+/**
+ * Table of the results of D2F code for a range of values of a variable,
+ * typically the skill level.
+ */
+export class LevelTable {
+  /**
+   * @param {string} variable Name of the variable
+   * @param {string} label Header of the result column
+   * @param {TableRow[]} rows
+   */
+  constructor(variable, label, rows) {
+    this.variable = variable;
+    this.label = label;
+    this.rows = rows;
+  }
+
+  /**
+   * Formats the table as comma-separated values (RFC 4180), including a
+   * header row.
+   *
+   * @return {string}
+   */
+  toCsv() {
+    return this.toCells_()
+      .map((cells) => cells.map(escapeCsv).join(",") + "\r\n")
+      .join("");
+  }
+
+  /**
+   * Formats the table as a Markdown (GitHub Flavored Markdown) table.
+   *
+   * @return {string}
+   */
+  toMarkdown() {
+    const [header, ...body] = this.toCells_().map((cells) =>
+      cells.map(escapeMarkdown)
+    );
+    return [header, ["---:", "---:"], ...body]
+      .map((cells) => `| ${cells.join(" | ")} |\n`)
+      .join("");
+  }
+
+  /**
+   * Formats the table as an HTML `<table>` element. Cells of rows that failed
+   * have the `error` class.
+   *
+   * @return {string}
+   */
+  toHtml() {
+    const header = `<tr><th>${escapeHtml(this.variable)}</th><th>${escapeHtml(
+      this.label
+    )}</th></tr>`;
+    const body = this.rows.map((row) => {
+      const valueCell = row.error
+        ? `<td class="error">${escapeHtml(formatError(row.error))}</td>`
+        : `<td>${row.value}</td>`;
+      return `<tr><td>${row.input}</td>${valueCell}</tr>`;
+    });
+    return [
+      "<table>",
+      `<thead>${header}</thead>`,
+      "<tbody>",
+      ...body,
+      "</tbody>",
+      "</table>",
+    ].join("\n");
+  }
+
+  /**
+   * Converts the table to a list of rows of cell text, including the header.
+   *
+   * @return {string[][]}
+   * @private
+   */
+  toCells_() {
+    return [
+      [this.variable, this.label],
+      ...this.rows.map((row) => [
+        String(row.input),
+        row.error ? formatError(row.error) : String(row.value),
+      ]),
+    ];
+  }
+}
+
+/**
+ * Interprets D2F code for each value of a variable, and returns a table of the
+ * results.
+ *
+ * For each row, the environment is created by calling `environmentFactory`
+ * with the value of the variable. The value is then assigned to the identifier
+ * named by the `variable` option, replacing any identifier of the same name.
+ *
+ * If interpreting the code throws a `D2FInterpreterError`, it is stored in the
+ * row and the next row is processed. Other errors are rethrown.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {EnvironmentFactory} environmentFactory
+ * @param {TabulateOptions} options
+ * @return {LevelTable}
+ * @throws {D2FSyntaxError} If `code` is a string that is syntactically invalid
+ * @throws {RangeError} If `from`, `to`, or `step` is invalid
+ */
+export function tabulate(code, environmentFactory, options) {
+  const { variable = "lvl", from = 1, to, step = 1, label = "value" } = options;
+  if (!(Number.isInteger(from) && Number.isInteger(to))) {
+    throw new RangeError(
+      `from and to must be integers (got from: ${from}, to: ${to})`
+    );
+  }
+  if (!(Number.isInteger(step) && step > 0)) {
+    throw new RangeError(`step must be a positive integer (got ${step})`);
+  }
+
+  const expression = typeof code === "string" ? parse(code) : code;
+
+  /** @type {TableRow[]} */
+  const rows = [];
+  for (let input = from; input <= to; input += step) {
+    const baseEnvironment = environmentFactory(input);
+    /** @type {InterpreterEnvironment} */
+    const environment = Object.assign({}, baseEnvironment, {
+      identifiers: Object.assign({}, baseEnvironment.identifiers, {
+        [variable]: input,
+      }),
+    });
+
+    try {
+      const value = interpretExpression(expression, environment);
+      rows.push({ input, value, error: null });
+    } catch (e) {
+      if (!(e instanceof D2FInterpreterError)) throw e;
+      rows.push({ input, value: null, error: e });
+    }
+  }
+
+  return new LevelTable(variable, label, rows);
+}
+
+/**
+ * @param {D2FInterpreterError} error
+ * @return {string}
+ */
+function formatError(error) {
+  return `Error: ${error.message}`;
+}
+
+/**
+ * Quotes a CSV field if it contains special characters.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes characters that have special meaning in Markdown table cells.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\|`*_]/g, "\\$&").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Escapes characters that have special meaning in HTML.
+ *
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
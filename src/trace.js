@@ -0,0 +1,135 @@
+import { isInt32 } from "./int32.js";
+
+/**
+ * @typedef {import("./int32.js").Int32} Int32
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./parser.js").SourceSpan} SourceSpan
+ */
+
+/**
+ * @typedef {object} TraceNode Evaluation record of an AST node
+ * @property {AstExpression["type"]} type Type of the AST node
+ * @property {SourceSpan | null} span Location of the AST node in the code
+ * @property {string | null} operator Operator of a binary or unary operation,
+ *    or `null` for other nodes
+ * @property {string | null} name Name of the identifier or function, or `null`
+ *    for other nodes
+ * @property {(string | number)[] | null} args Arguments passed to the
+ *    callback in the environment, or `null` if no callback was called
+ * @property {TraceNode[]} inputs Traces of the child nodes, in the order they
+ *    appear in the code
+ * @property {Int32 | null} value Result of the node, or `null` if the node was
+ *    skipped
+ * @property {boolean} skipped Whether the node was not evaluated because it is
+ *    in a branch of a conditional expression that was not taken
+ * @property {boolean} overflow Whether the arithmetic operation overflowed
+ *    and its result was wrapped around
+ * @property {boolean} divisionByZero Whether the operation was a division by
+ *    zero, which evaluates to 0
+ */
+
+/**
+ * Creates a trace node with default values.
+ *
+ * @param {AstExpression} expression
+ * @param {Partial<TraceNode>} fields Fields to override
+ * @return {TraceNode}
+ */
+export function createTraceNode(expression, fields) {
+  return Object.assign(
+    {
+      type: expression.type,
+      span: expression.span,
+      operator: null,
+      name: null,
+      args: null,
+      inputs: [],
+      value: null,
+      skipped: false,
+      overflow: false,
+      divisionByZero: false,
+    },
+    fields
+  );
+}
+
+/**
+ * Creates a trace for an AST node that was not evaluated.
+ * The child nodes are also marked as skipped.
+ *
+ * @param {AstExpression} expression
+ * @return {TraceNode}
+ */
+export function createSkippedTraceNode(expression) {
+  /** @type {AstExpression[]} */
+  let children;
+  /** @type {string | null} */
+  let operator = null;
+  /** @type {string | null} */
+  let name = null;
+
+  switch (expression.type) {
+    case "AstBinaryOp":
+      children = [expression.left, expression.right];
+      operator = expression.operator;
+      break;
+    case "AstConditional":
+      children = [
+        expression.condition,
+        expression.trueExpression,
+        expression.falseExpression,
+      ];
+      break;
+    case "AstFunctionCall":
+      children = [expression.arg1, expression.arg2];
+      name = expression.functionName;
+      break;
+    case "AstIdentifier":
+      children = [];
+      name = expression.name;
+      break;
+    case "AstRefFunctionCall":
+      children =
+        typeof expression.reference === "string" ? [] : [expression.reference];
+      name = expression.functionName;
+      break;
+    case "AstUnaryOp":
+      children = [expression.expression];
+      operator = expression.operator;
+      break;
+    default:
+      children = [];
+  }
+
+  return createTraceNode(expression, {
+    operator,
+    name,
+    inputs: children.map(createSkippedTraceNode),
+    skipped: true,
+  });
+}
+
+/**
+ * Checks whether a binary operation overflows the range of Int32.
+ *
+ * @param {string} operator
+ * @param {Int32} a
+ * @param {Int32} b
+ * @return {boolean}
+ */
+export function isOverflow(operator, a, b) {
+  switch (operator) {
+    case "+":
+      return !isInt32(a + b);
+    case "-":
+      return !isInt32(a - b);
+    case "*":
+      // The product of two Int32 values may lose precision, but never enough
+      // to move it across the boundaries of Int32
+      return !isInt32(a * b);
+    case "/":
+      return b !== 0 && !isInt32(Math.trunc(a / b));
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,345 @@
+import { CachedInterpreter } from "./cached-interpreter.js";
+import { getOwnProperty } from "./environment.js";
+import { validate } from "./validator.js";
+
+/**
+ * @typedef {import("./environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./errors.js").D2FValidationError} D2FValidationError
+ * @typedef {import("./validator.js").EnvironmentSchema} EnvironmentSchema
+ */
+
+/**
+ * @typedef {object} TxtRow Row of a tab-separated .txt file
+ * @property {number} line Line number of the row in the file (1-based)
+ * @property {{[column: string]: string}} values Maps each column name to the
+ *    value of the cell. Empty cells are empty strings.
+ */
+
+/**
+ * @typedef {object} TxtTable Contents of a tab-separated .txt file
+ * @property {string[]} columns Column names, in the order of the header row
+ * @property {TxtRow[]} rows Data rows, excluding the header row, "Expansion"
+ *    separator rows, and blank rows
+ */
+
+/**
+ * @typedef {object} EvaluateTxtOptions
+ * @property {string=} fileName Name of the file, used in error records and to
+ *    choose the formula columns. Defaults to `""`.
+ * @property {string[]=} formulaColumns Columns that contain D2F code. Defaults
+ *    to the known formula columns of `fileName` (see `FORMULA_COLUMNS`).
+ * @property {(row: TxtRow) => InterpreterEnvironment} environmentFactory
+ *    Creates the environment to use for each row
+ * @property {CachedInterpreter=} interpreter Interpreter to use. Defaults to a
+ *    new `CachedInterpreter`.
+ */
+
+/**
+ * @typedef {object} TxtRowResult Results of the formulas in a row
+ * @property {number} line Line number of the row in the file (1-based)
+ * @property {{[column: string]: number}} values Maps each formula column to
+ *    its result. Columns that are empty or failed are omitted.
+ */
+
+/**
+ * @typedef {object} TxtFormulaError Error thrown by a formula in a .txt file
+ * @property {string} file Name of the file
+ * @property {number} line Line number of the row (1-based)
+ * @property {string} column Name of the column
+ * @property {string} code D2F code in the cell
+ * @property {unknown} error Error thrown while evaluating the code. This is
+ *    usually a `D2FError`, or a `D2CalcCallbackError` if a callback in the
+ *    environment failed for reasons unrelated to D2F code.
+ */
+
+/**
+ * @typedef {object} TxtEvaluationResult
+ * @property {TxtRowResult[]} rows Results of each row, in the same order as
+ *    the rows of the table
+ * @property {TxtFormulaError[]} errors Errors thrown by formulas
+ */
+
+/**
+ * @typedef {object} LintTxtOptions
+ * @property {string=} fileName Name of the file, used in diagnostics and to
+ *    choose the formula columns. Defaults to `""`.
+ * @property {string[]=} formulaColumns Columns that contain D2F code. Defaults
+ *    to the known formula columns of `fileName` (see `FORMULA_COLUMNS`).
+ * @property {EnvironmentSchema} schema Identifiers and functions that the
+ *    formulas may use
+ */
+
+/**
+ * @typedef {object} TxtLintDiagnostic Problem found in a formula of a .txt file
+ * @property {string} file Name of the file
+ * @property {number} line Line number of the row (1-based)
+ * @property {string} column Name of the column
+ * @property {number} offset Position of the problem in the line, counting
+ *    from the start of the row (0-based)
+ * @property {string} code D2F code in the cell
+ * @property {D2FSyntaxError | D2FValidationError} error
+ */
+
+/**
+ * Columns that contain D2F code in the .txt files of Diablo 2, keyed by
+ * lowercase file name. Other files do not contain D2F code.
+ * @type {{[fileName: string]: string[]}}
+ */
+export const FORMULA_COLUMNS = {
+  "skills.txt": [
+    "calc1",
+    "calc2",
+    "calc3",
+    "calc4",
+    "auralencalc",
+    "aurarangecalc",
+    "aurastatcalc1",
+    "aurastatcalc2",
+    "aurastatcalc3",
+    "aurastatcalc4",
+    "aurastatcalc5",
+    "aurastatcalc6",
+    "passivecalc1",
+    "passivecalc2",
+    "passivecalc3",
+    "passivecalc4",
+    "passivecalc5",
+    "petmax",
+    "perdelay",
+    "prgcalc1",
+    "prgcalc2",
+    "prgcalc3",
+    "cltcalc1",
+    "cltcalc2",
+    "cltcalc3",
+    "skpoints",
+    "ToHitCalc",
+    "DmgSymPerCalc",
+    "EDmgSymPerCalc",
+    "ELenSymPerCalc",
+  ],
+  "missiles.txt": [
+    "SrvCalc1",
+    "CltCalc1",
+    "SHitCalc1",
+    "CHitCalc1",
+    "DmgCalc1",
+    "DmgSymPerCalc",
+    "EDmgSymPerCalc",
+  ],
+  "skilldesc.txt": [
+    "ddam calc1",
+    "ddam calc2",
+    "desccalca1",
+    "desccalcb1",
+    "desccalca2",
+    "desccalcb2",
+    "desccalca3",
+    "desccalcb3",
+    "desccalca4",
+    "desccalcb4",
+    "desccalca5",
+    "desccalcb5",
+    "desccalca6",
+    "desccalcb6",
+    "dsc2calca1",
+    "dsc2calcb1",
+    "dsc2calca2",
+    "dsc2calcb2",
+    "dsc2calca3",
+    "dsc2calcb3",
+    "dsc2calca4",
+    "dsc2calcb4",
+    "dsc3calca1",
+    "dsc3calcb1",
+    "dsc3calca2",
+    "dsc3calcb2",
+    "dsc3calca3",
+    "dsc3calcb3",
+    "dsc3calca4",
+    "dsc3calcb4",
+    "dsc3calca5",
+    "dsc3calcb5",
+    "dsc3calca6",
+    "dsc3calcb6",
+    "dsc3calca7",
+    "dsc3calcb7",
+  ],
+};
+
+/**
+ * Parses a tab-separated .txt file of Diablo 2.
+ *
+ * The first line is used as the header row. "Expansion" separator rows (whose
+ * first cell is `Expansion` and whose other cells are empty) and blank rows
+ * are skipped. Missing cells at the end of a row are treated as empty.
+ * Line numbers start at 1 for the header row.
+ *
+ * @param {string} text Contents of the file
+ * @return {TxtTable}
+ */
+export function parseTxtFile(text) {
+  // Remove the byte order mark, if any
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const columns = lines[0].split("\t");
+
+  /** @type {TxtRow[]} */
+  const rows = [];
+  for (let index = 1; index < lines.length; ++index) {
+    const cells = lines[index].split("\t");
+    if (isSeparatorRow(cells)) continue;
+
+    /** @type {{[column: string]: string}} */
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      values[column] = cells[columnIndex] || "";
+    });
+    rows.push({ line: index + 1, values });
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Evaluates the formula columns of every row in a .txt file.
+ *
+ * Any error thrown while evaluating a formula is recorded in `errors`, and
+ * evaluation continues with the next cell.
+ *
+ * @param {TxtTable} table Table returned by `parseTxtFile()`
+ * @param {EvaluateTxtOptions} options
+ * @return {TxtEvaluationResult}
+ */
+export function evaluateTxtFile(table, options) {
+  const {
+    fileName = "",
+    environmentFactory,
+    interpreter = new CachedInterpreter(),
+  } = options;
+  const formulaColumns = findColumns(
+    table.columns,
+    options.formulaColumns || getFormulaColumns(fileName)
+  );
+
+  /** @type {TxtRowResult[]} */
+  const rows = [];
+  /** @type {TxtFormulaError[]} */
+  const errors = [];
+
+  for (const row of table.rows) {
+    const environment = environmentFactory(row);
+    /** @type {{[column: string]: number}} */
+    const values = {};
+
+    for (const column of formulaColumns) {
+      const code = row.values[column];
+      if (!code || code.trim() === "") continue;
+
+      try {
+        values[column] = interpreter.interpret(code, environment);
+      } catch (e) {
+        errors.push({ file: fileName, line: row.line, column, code, error: e });
+      }
+    }
+
+    rows.push({ line: row.line, values });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Checks the formula columns of every row in a .txt file for syntax errors and
+ * for identifiers and functions that are not in the schema. The formulas are
+ * not evaluated.
+ *
+ * @param {TxtTable} table Table returned by `parseTxtFile()`
+ * @param {LintTxtOptions} options
+ * @return {TxtLintDiagnostic[]} Problems found, in the order of rows, columns,
+ *    and positions in the code
+ */
+export function lintTxtFile(table, options) {
+  const { fileName = "", schema } = options;
+  const formulaColumns = findColumns(
+    table.columns,
+    options.formulaColumns || getFormulaColumns(fileName)
+  );
+
+  /** @type {TxtLintDiagnostic[]} */
+  const diagnostics = [];
+  for (const row of table.rows) {
+    for (const column of formulaColumns) {
+      const code = row.values[column];
+      if (!code || code.trim() === "") continue;
+
+      const cellOffset = getCellOffset(table.columns, row, column);
+      for (const error of validate(code, schema)) {
+        diagnostics.push({
+          file: fileName,
+          line: row.line,
+          column,
+          offset: cellOffset + error.start,
+          code,
+          error,
+        });
+      }
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Computes the position of a cell in its line, by adding up the lengths of
+ * the preceding cells and tabs.
+ *
+ * @param {string[]} columns Column names of the table
+ * @param {TxtRow} row
+ * @param {string} column Name of the column of the cell
+ * @return {number}
+ */
+function getCellOffset(columns, row, column) {
+  let offset = 0;
+  for (const previous of columns.slice(0, columns.indexOf(column))) {
+    offset += row.values[previous].length + 1;
+  }
+  return offset;
+}
+
+/**
+ * Checks whether a row is an "Expansion" separator row or a blank row.
+ *
+ * @param {string[]} cells
+ * @return {boolean}
+ */
+function isSeparatorRow(cells) {
+  const [first, ...rest] = cells;
+  return (
+    (first === "" || first.toLowerCase() === "expansion") &&
+    rest.every((cell) => cell === "")
+  );
+}
+
+/**
+ * Retrieves the known formula columns of a file.
+ *
+ * @param {string} fileName Name or path of the file
+ * @return {string[]}
+ */
+function getFormulaColumns(fileName) {
+  const baseName = fileName.split(/[\\/]/).pop() || "";
+  return getOwnProperty(FORMULA_COLUMNS, baseName.toLowerCase()) || [];
+}
+
+/**
+ * Finds the columns of a table that match the given names, ignoring case.
+ * Column names of different mods may use different cases.
+ *
+ * @param {string[]} columns Column names of the table
+ * @param {string[]} names Column names to find
+ * @return {string[]} Matching column names of the table
+ */
+function findColumns(columns, names) {
+  const lowerNames = names.map((name) => name.toLowerCase());
+  return columns.filter((column) => lowerNames.includes(column.toLowerCase()));
+}
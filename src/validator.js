@@ -0,0 +1,239 @@
+import { getOwnProperty } from "./environment.js";
+import { D2FValidationError } from "./errors.js";
+import { assertUnhandledExpressionType } from "./exhaustiveness.js";
+import { parseWithRecovery } from "./parser.js";
+
+/**
+ * @typedef {import("./errors.js").D2FSyntaxError} D2FSyntaxError
+ * @typedef {import("./errors.js").ValidationErrorKind} ValidationErrorKind
+ * @typedef {import("./parser.js").AstExpression} AstExpression
+ * @typedef {import("./parser.js").AstRefFunctionCall} AstRefFunctionCall
+ * @typedef {import("./parser.js").SourceSpan} SourceSpan
+ */
+
+/**
+ * @typedef {object} ReferenceFunction2QSchema
+ *    Dot codes accepted by a double-qualifier reference function
+ * @property {string[] | null} code1 Allowed first dot codes (without the
+ *    leading dot), or `null` to allow any dot code
+ * @property {string[] | null} code2 Allowed second dot codes (without the
+ *    leading dot), or `null` to allow any dot code
+ */
+
+/**
+ * @typedef {object} EnvironmentSchema
+ *    Describes the identifiers and functions provided by an environment
+ * @property {string[]=} identifiers Names of identifiers
+ * @property {{[name: string]: number}=} functions
+ *    Maps each numeric function name to the number of arguments it accepts
+ * @property {{[name: string]: string[] | null}=} referenceFunctions
+ *    Maps each single-qualifier reference function name to the dot codes
+ *    (without the leading dot) it accepts, or `null` to allow any dot code
+ * @property {{[name: string]: ReferenceFunction2QSchema}=} referenceFunctions2Q
+ *    Maps each double-qualifier reference function name to the dot codes it
+ *    accepts
+ */
+
+/**
+ * Checks D2F code (or its AST) against an environment schema, and returns
+ * every problem found. The code is not evaluated, so both branches of
+ * conditional expressions are checked.
+ *
+ * If `code` is a string, syntax errors are also reported.
+ * If `code` is an AST, the errors stored in its `AstError` nodes are reported.
+ *
+ * @param {string | AstExpression} code D2F code or its AST
+ * @param {EnvironmentSchema} schema
+ * @return {(D2FSyntaxError | D2FValidationError)[]} Problems found in the
+ *    code, sorted by location. This is empty if the code is valid.
+ */
+export function validate(code, schema) {
+  /** @type {(D2FSyntaxError | D2FValidationError)[]} */
+  let diagnostics;
+  /** @type {AstExpression} */
+  let expression;
+
+  if (typeof code === "string") {
+    const result = parseWithRecovery(code);
+    expression = result.expression;
+    diagnostics = result.diagnostics.slice();
+  } else {
+    expression = code;
+    diagnostics = [];
+  }
+
+  validateExpression(expression, schema, diagnostics, typeof code !== "string");
+  return diagnostics.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * @param {AstExpression} expression
+ * @param {EnvironmentSchema} schema
+ * @param {(D2FSyntaxError | D2FValidationError)[]} diagnostics Array to store
+ *    the problems in
+ * @param {boolean} reportAstErrors Whether to add the errors stored in
+ *    `AstError` nodes to `diagnostics`
+ */
+function validateExpression(expression, schema, diagnostics, reportAstErrors) {
+  /** @param {AstExpression} child */
+  const visit = (child) =>
+    validateExpression(child, schema, diagnostics, reportAstErrors);
+
+  switch (expression.type) {
+    case "AstBinaryOp":
+      visit(expression.left);
+      visit(expression.right);
+      break;
+    case "AstConditional":
+      visit(expression.condition);
+      visit(expression.trueExpression);
+      visit(expression.falseExpression);
+      break;
+    case "AstError":
+      if (reportAstErrors) diagnostics.push(expression.error);
+      break;
+    case "AstFunctionCall": {
+      const { functionName, span } = expression;
+      const arity = getOwnProperty(schema.functions, functionName);
+      if (arity === undefined) {
+        diagnostics.push(
+          createError(
+            `Unknown function "${functionName}"`,
+            nameSpan(span, functionName),
+            "UnknownFunction"
+          )
+        );
+      } else if (arity !== 2) {
+        diagnostics.push(
+          createError(
+            `Function "${functionName}" takes ${arity} argument(s), but 2 were given`,
+            span,
+            "ArityMismatch"
+          )
+        );
+      }
+      visit(expression.arg1);
+      visit(expression.arg2);
+      break;
+    }
+    case "AstIdentifier":
+      if (
+        !(schema.identifiers && schema.identifiers.includes(expression.name))
+      ) {
+        diagnostics.push(
+          createError(
+            `Unknown identifier "${expression.name}"`,
+            expression.span,
+            "UnknownIdentifier"
+          )
+        );
+      }
+      break;
+    case "AstNumber":
+      break;
+    case "AstRefFunctionCall":
+      validateRefFunctionCall(expression, schema, diagnostics);
+      if (typeof expression.reference !== "string") {
+        visit(expression.reference);
+      }
+      break;
+    case "AstUnaryOp":
+      visit(expression.expression);
+      break;
+    default:
+      // Exhaustiveness check
+      assertUnhandledExpressionType(expression);
+  }
+}
+
+/**
+ * Checks the function name and dot codes of a reference function call.
+ *
+ * @param {AstRefFunctionCall} expression
+ * @param {EnvironmentSchema} schema
+ * @param {(D2FSyntaxError | D2FValidationError)[]} diagnostics
+ */
+function validateRefFunctionCall(expression, schema, diagnostics) {
+  const { functionName, code1, code2, span } = expression;
+
+  if (code2 == null) {
+    const allowedCodes = getOwnProperty(
+      schema.referenceFunctions,
+      functionName
+    );
+    if (allowedCodes === undefined) {
+      diagnostics.push(
+        createError(
+          `Unknown single-qualifier reference function "${functionName}"`,
+          nameSpan(span, functionName),
+          "UnknownReferenceFunction"
+        )
+      );
+    } else {
+      checkDotCode(code1, allowedCodes, expression.code1Span);
+    }
+  } else {
+    const allowedCodes = getOwnProperty(
+      schema.referenceFunctions2Q,
+      functionName
+    );
+    if (allowedCodes === undefined) {
+      diagnostics.push(
+        createError(
+          `Unknown double-qualifier reference function "${functionName}"`,
+          nameSpan(span, functionName),
+          "UnknownReferenceFunction2Q"
+        )
+      );
+    } else {
+      checkDotCode(code1, allowedCodes.code1, expression.code1Span);
+      checkDotCode(code2, allowedCodes.code2, expression.code2Span);
+    }
+  }
+
+  /**
+   * @param {string} code
+   * @param {string[] | null} allowedCodes
+   * @param {SourceSpan | null} codeSpan
+   */
+  function checkDotCode(code, allowedCodes, codeSpan) {
+    if (allowedCodes && !allowedCodes.includes(code)) {
+      diagnostics.push(
+        createError(
+          `Unknown dot code ".${code}" for reference function "${functionName}"`,
+          codeSpan,
+          "InvalidDotCode"
+        )
+      );
+    }
+  }
+}
+
+/**
+ * Creates a validation error with the location appended to the message.
+ *
+ * @param {string} message
+ * @param {SourceSpan | null} span Location of the offending code. If this is
+ *    `null`, the error is reported at position 0.
+ * @param {ValidationErrorKind} kind
+ * @return {D2FValidationError}
+ */
+function createError(message, span, kind) {
+  const { start, end } = span || { start: 0, end: 0 };
+  return new D2FValidationError(`${message} at position ${start}`, {
+    start,
+    end,
+    kind,
+  });
+}
+
+/**
+ * Computes the location of the function name in a function call.
+ *
+ * @param {SourceSpan | null} span Location of the function call
+ * @param {string} functionName
+ * @return {SourceSpan | null}
+ */
+function nameSpan(span, functionName) {
+  return span && { start: span.start, end: span.start + functionName.length };
+}
@@ -0,0 +1,124 @@
+import { strict as assert } from "assert";
+
+import { analyze } from "../src/analyzer.js";
+import { D2FSyntaxError } from "../src/errors.js";
+import { parse, parseWithRecovery } from "../src/parser.js";
+
+/**
+ * @typedef {import("../src/analyzer.js").FormulaDependencies} FormulaDependencies
+ */
+
+/**
+ * Verifies that analyzing the given code produces the given dependencies.
+ * Missing fields in `expected` are treated as empty arrays.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {Partial<FormulaDependencies>} expected
+ */
+function itAnalyzesTo(code, expected) {
+  it(`Test "${code}"`, () => {
+    assert.deepStrictEqual(
+      analyze(code),
+      Object.assign(
+        {
+          identifiers: [],
+          functions: [],
+          referenceFunctions: [],
+          referenceFunctions2Q: [],
+        },
+        expected
+      )
+    );
+  });
+}
+
+describe("analyze()", () => {
+  describe("should find nothing in constant expressions", () => {
+    itAnalyzesTo("1", {});
+    itAnalyzesTo("(1 + 2) * -3 > 4 ? 5 : 6", {});
+  });
+
+  describe("should find identifiers", () => {
+    itAnalyzesTo("lvl", { identifiers: ["lvl"] });
+    itAnalyzesTo("ln12 + lvl * ln12 - dm34", {
+      identifiers: ["ln12", "lvl", "dm34"],
+    });
+  });
+
+  describe("should find identifiers in both branches of conditionals", () => {
+    itAnalyzesTo("lvl > 5 ? par1 : par2", {
+      identifiers: ["lvl", "par1", "par2"],
+    });
+  });
+
+  describe("should find functions with their arity", () => {
+    itAnalyzesTo("min(lvl, max(par1, 3)) + min(1, 2)", {
+      identifiers: ["lvl", "par1"],
+      functions: [
+        { name: "min", arity: 2 },
+        { name: "max", arity: 2 },
+      ],
+    });
+  });
+
+  describe("should find reference function calls", () => {
+    itAnalyzesTo("skill('Fire Bolt'.blvl) + skill('Fire Bolt'.lvl)", {
+      referenceFunctions: [
+        { name: "skill", reference: "Fire Bolt", code: "blvl" },
+        { name: "skill", reference: "Fire Bolt", code: "lvl" },
+      ],
+    });
+    itAnalyzesTo("miss('Fire Bolt'.ln12) * miss('Fire Bolt'.ln12)", {
+      referenceFunctions: [
+        { name: "miss", reference: "Fire Bolt", code: "ln12" },
+      ],
+    });
+  });
+
+  describe("should find double-qualifier reference function calls", () => {
+    itAnalyzesTo("stat('item_armor_percent'.accr.base)", {
+      referenceFunctions2Q: [
+        {
+          name: "stat",
+          reference: "item_armor_percent",
+          code1: "accr",
+          code2: "base",
+        },
+      ],
+    });
+  });
+
+  describe("should find computed references", () => {
+    itAnalyzesTo("skill((lvl + 1).blvl) + stat(id.accr.mod)", {
+      identifiers: ["lvl", "id"],
+      referenceFunctions: [{ name: "skill", reference: null, code: "blvl" }],
+      referenceFunctions2Q: [
+        { name: "stat", reference: null, code1: "accr", code2: "mod" },
+      ],
+    });
+  });
+
+  it("should accept an AST", () => {
+    assert.deepStrictEqual(analyze(parse("min(a, b)")), {
+      identifiers: ["a", "b"],
+      functions: [{ name: "min", arity: 2 }],
+      referenceFunctions: [],
+      referenceFunctions2Q: [],
+    });
+  });
+
+  it("should ignore AstError nodes", () => {
+    const { expression } = parseWithRecovery("min(a, ) + b");
+    assert.deepStrictEqual(analyze(expression), {
+      identifiers: ["a", "b"],
+      functions: [{ name: "min", arity: 2 }],
+      referenceFunctions: [],
+      referenceFunctions2Q: [],
+    });
+  });
+
+  it("should throw D2FSyntaxError for invalid code", () => {
+    assert.throws(() => analyze("min(a, )"), D2FSyntaxError);
+  });
+});
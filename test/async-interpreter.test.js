@@ -0,0 +1,211 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import { interpretAsync } from "../src/async-interpreter.js";
+import {
+  D2CalcAbortError,
+  D2CalcCallbackError,
+  D2FCallbackError,
+  D2FInterpreterError,
+  D2FSyntaxError,
+} from "../src/errors.js";
+
+/**
+ * @typedef {import("../src/async-interpreter.js").AbortSignalLike} AbortSignalLike
+ * @typedef {import("../src/environment.js").AsyncInterpreterEnvironment} AsyncInterpreterEnvironment
+ */
+
+/**
+ * Verifies that interpreting the given code asynchronously results in the
+ * given value.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {AsyncInterpreterEnvironment} environment
+ * @param {number} value
+ */
+function itInterpretsTo(code, environment, value) {
+  it(`Test "${code}"`, async () => {
+    assert.strictEqual(await interpretAsync(code, environment), value);
+  });
+}
+
+/**
+ * Creates a promise that resolves to the value on the next tick.
+ *
+ * @param {number} value
+ * @return {Promise<number>}
+ */
+function later(value) {
+  return new Promise((resolve) => setTimeout(() => resolve(value), 0));
+}
+
+describe("interpretAsync()", () => {
+  describe("should interpret code without callbacks", () => {
+    itInterpretsTo("1 + 2 * 3", {}, 7);
+    itInterpretsTo("2147483647 + 1", {}, -2147483648);
+    itInterpretsTo("5 / 0", {}, 0);
+    itInterpretsTo("-((3 > 2) ? 4 : 5)", {}, -4);
+  });
+
+  describe("should await callbacks that return promises", () => {
+    itInterpretsTo("lvl * 2", { identifiers: { lvl: () => later(5) } }, 10);
+    itInterpretsTo("min(3, 4)", { functions: { min: () => later(3) } }, 3);
+    itInterpretsTo(
+      "skill('Fire Bolt'.blvl) + stat('hp'.accr.base)",
+      {
+        referenceFunctions: { skill: () => later(7) },
+        referenceFunctions2Q: { stat: () => later(9) },
+      },
+      16
+    );
+  });
+
+  describe("should accept synchronous callbacks and numbers", () => {
+    itInterpretsTo(
+      "a + b + max(1, 2)",
+      { identifiers: { a: 1, b: () => 2 }, functions: { max: Math.max } },
+      5
+    );
+  });
+
+  it("should convert awaited values to Int32", async () => {
+    const environment = { identifiers: { big: () => later(4294967297.5) } };
+    assert.strictEqual(await interpretAsync("big", environment), 1);
+  });
+
+  it("should pass arguments to callbacks", async () => {
+    const min = sinon.fake.resolves(1);
+    const skill = sinon.fake.resolves(2);
+    const stat = sinon.fake.resolves(3);
+
+    await interpretAsync("min(4, 5) + skill((1 + 1).lvl) + stat('x'.a.b)", {
+      functions: { min },
+      referenceFunctions: { skill },
+      referenceFunctions2Q: { stat },
+    });
+    sinon.assert.calledOnceWithExactly(min, 4, 5);
+    sinon.assert.calledOnceWithExactly(skill, 2, "lvl");
+    sinon.assert.calledOnceWithExactly(stat, "x", "a", "b");
+  });
+
+  it("should evaluate only the chosen branch of a conditional", async () => {
+    const yes = sinon.fake.resolves(1);
+    const no = sinon.fake.resolves(2);
+
+    assert.strictEqual(
+      await interpretAsync("cond ? yes : no", {
+        identifiers: { cond: () => later(0), yes, no },
+      }),
+      2
+    );
+    sinon.assert.notCalled(yes);
+    sinon.assert.calledOnce(no);
+  });
+
+  it("should reject with D2FSyntaxError for invalid code", async () => {
+    await assert.rejects(interpretAsync("1 +"), D2FSyntaxError);
+  });
+
+  it("should reject with D2FInterpreterError for unknown names", async () => {
+    await assert.rejects(interpretAsync("foo"), D2FInterpreterError);
+    await assert.rejects(interpretAsync("foo(1, 2)"), D2FInterpreterError);
+  });
+
+  it("should wrap callbacks rejected with a D2FError in D2FCallbackError", async () => {
+    const oops = new D2FInterpreterError("Oops");
+    const environment = { identifiers: { lvl: () => Promise.reject(oops) } };
+    await assert.rejects(interpretAsync("lvl", environment), {
+      name: D2FCallbackError.name,
+      message: 'Oops (caused while evaluating identifier "lvl")',
+      cause: oops,
+      kind: "identifier",
+      callbackName: "lvl",
+    });
+    assert.strictEqual(oops.message, "Oops");
+  });
+
+  it("should wrap other errors of rejected callbacks in D2CalcCallbackError", async () => {
+    const oops = new Error("Oops");
+    const environment = { identifiers: { lvl: () => Promise.reject(oops) } };
+    await assert.rejects(interpretAsync("lvl", environment), {
+      name: D2CalcCallbackError.name,
+      message: 'Oops (caused while evaluating identifier "lvl")',
+      cause: oops,
+      kind: "identifier",
+      callbackName: "lvl",
+    });
+    assert.strictEqual(oops.message, "Oops");
+  });
+
+  describe("with an AbortSignal", () => {
+    it("should reject if the signal is already aborted", async () => {
+      const lvl = sinon.fake.resolves(1);
+      await assert.rejects(
+        interpretAsync(
+          "lvl",
+          { identifiers: { lvl } },
+          { signal: { aborted: true } }
+        ),
+        D2CalcAbortError
+      );
+      sinon.assert.notCalled(lvl);
+    });
+
+    it("should stop calling callbacks once aborted", async () => {
+      const signal = { aborted: false };
+      const a = sinon.fake(() => {
+        signal.aborted = true;
+        return later(1);
+      });
+      const b = sinon.fake.resolves(2);
+
+      await assert.rejects(
+        interpretAsync("a + b", { identifiers: { a, b } }, { signal }),
+        D2CalcAbortError
+      );
+      sinon.assert.calledOnce(a);
+      sinon.assert.notCalled(b);
+    });
+
+    it("should stop waiting for a pending callback once aborted", async () => {
+      const controller = new AbortController();
+      const lvl = sinon.fake(() => {
+        setTimeout(() => controller.abort(), 0);
+        // Never settles
+        return new Promise(() => {});
+      });
+
+      await assert.rejects(
+        interpretAsync(
+          "lvl",
+          { identifiers: { lvl } },
+          { signal: controller.signal }
+        ),
+        (/** @type {unknown} */ error) =>
+          error === /** @type {AbortSignalLike} */ (controller.signal).reason
+      );
+      sinon.assert.calledOnce(lvl);
+    });
+
+    it("should reject with the reason of the signal", async () => {
+      const reason = new Error("Cancelled by user");
+      await assert.rejects(
+        interpretAsync("1", {}, { signal: { aborted: true, reason } }),
+        (/** @type {unknown} */ error) => error === reason
+      );
+    });
+
+    it("should resolve normally if the signal is not aborted", async () => {
+      assert.strictEqual(
+        await interpretAsync(
+          "lvl + 1",
+          { identifiers: { lvl: () => later(1) } },
+          { signal: { aborted: false } }
+        ),
+        2
+      );
+    });
+  });
+});
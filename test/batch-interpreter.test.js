@@ -0,0 +1,104 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import { interpretAll } from "../src/batch-interpreter.js";
+import { CachedInterpreter } from "../src/cached-interpreter.js";
+import {
+  D2CalcCallbackError,
+  D2FInterpreterError,
+  D2FSyntaxError,
+} from "../src/errors.js";
+
+describe("interpretAll()", () => {
+  const identifiers = { lvl: 10, ln12: 25 };
+
+  it("should interpret an array of formulas", () => {
+    assert.deepStrictEqual(
+      interpretAll(["lvl * 2", "ln12 + 1"], { identifiers }),
+      [
+        { value: 20, error: null },
+        { value: 26, error: null },
+      ]
+    );
+  });
+
+  it("should interpret an object of formulas", () => {
+    assert.deepStrictEqual(
+      interpretAll({ calc1: "ln12", ToHitCalc: "lvl * 5" }, { identifiers }),
+      {
+        calc1: { value: 25, error: null },
+        ToHitCalc: { value: 50, error: null },
+      }
+    );
+  });
+
+  it("should record errors without stopping", () => {
+    const results = interpretAll(
+      { calc1: "lvl +", calc2: "missing", calc3: "lvl" },
+      { identifiers }
+    );
+
+    assert.strictEqual(results.calc1.value, null);
+    assert.ok(results.calc1.error instanceof D2FSyntaxError);
+    assert.strictEqual(results.calc2.value, null);
+    assert.ok(results.calc2.error instanceof D2FInterpreterError);
+    assert.deepStrictEqual(results.calc3, { value: 10, error: null });
+  });
+
+  it("should share callback results across the batch", () => {
+    const ln12 = sinon.fake.returns(7);
+    const results = interpretAll(["ln12", "ln12 * 2", "ln12 + ln12"], {
+      identifiers: { ln12 },
+    });
+
+    assert.deepStrictEqual(
+      results.map((result) => result.value),
+      [7, 14, 14]
+    );
+    sinon.assert.calledOnce(ln12);
+  });
+
+  it("should call callbacks every time if memoize is false", () => {
+    const ln12 = sinon.fake.returns(7);
+    interpretAll(
+      ["ln12", "ln12"],
+      { identifiers: { ln12 } },
+      { memoize: false }
+    );
+    sinon.assert.calledTwice(ln12);
+  });
+
+  it("should use the given interpreter", () => {
+    const interpreter = new CachedInterpreter();
+    interpretAll(["lvl", "lvl"], { identifiers }, { interpreter });
+    assert.strictEqual(interpreter.getStats().hits, 1);
+    assert.ok(interpreter.has("lvl"));
+  });
+
+  it("should record errors that are not caused by D2F code", () => {
+    const boom = new TypeError("boom");
+    const ln12 = sinon.fake.returns(7);
+    const environment = {
+      identifiers: {
+        lvl: () => {
+          throw boom;
+        },
+        ln12,
+      },
+    };
+
+    const results = interpretAll(["1", "lvl", "ln12"], environment);
+    assert.deepStrictEqual(results[0], { value: 1, error: null });
+    assert.strictEqual(results[1].value, null);
+    assert.ok(results[1].error instanceof D2CalcCallbackError);
+    assert.strictEqual(results[1].error.cause, boom);
+    assert.deepStrictEqual(results[2], { value: 7, error: null });
+    sinon.assert.calledOnce(ln12);
+  });
+});
+
+afterEach(() => {
+  // Restore the default sandbox
+  sinon.restore();
+});
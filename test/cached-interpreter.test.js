@@ -1,7 +1,12 @@
 import { strict as assert } from "assert";
 
+import sinon from "sinon";
+
 import { CachedInterpreter } from "../src/cached-interpreter.js";
 import { D2FInterpreterError, D2FSyntaxError } from "../src/errors.js";
+import { parse } from "../src/parser.js";
+
+import { stripSpans } from "./helpers/ast.js";
 
 describe("CachedInterpreter", () => {
   it("should cache syntactically valid formulae", () => {
@@ -80,4 +85,185 @@ describe("CachedInterpreter", () => {
     assert.throws(() => interpreter.interpret("valueOf"), D2FInterpreterError);
     assert.strictEqual(3, astCache.size);
   });
+
+  it("should cache the optimized AST if optimize is true", () => {
+    const interpreter = new CachedInterpreter({ optimize: true });
+    // @ts-expect-error Accessing private property for test
+    const astCache = interpreter.astCache_;
+
+    assert.strictEqual(
+      interpreter.interpret("lvl * (256 * 3) / 2", { identifiers: { lvl: 2 } }),
+      768
+    );
+    const ast = astCache.get("lvl * (256 * 3) / 2");
+    assert.ok(ast);
+    assert.deepStrictEqual(stripSpans(ast), stripSpans(parse("lvl * 768 / 2")));
+  });
+
+  it("should not optimize the AST by default", () => {
+    const interpreter = new CachedInterpreter();
+    // @ts-expect-error Accessing private property for test
+    const astCache = interpreter.astCache_;
+
+    interpreter.interpret("256 * 3");
+    assert.deepStrictEqual(astCache.get("256 * 3"), parse("256 * 3"));
+  });
+
+  it("should share the cache between interpret() and interpretAsync()", async () => {
+    const interpreter = new CachedInterpreter();
+    // @ts-expect-error Accessing private property for test
+    const astCache = interpreter.astCache_;
+
+    const environment = { identifiers: { lvl: () => Promise.resolve(4) } };
+    assert.strictEqual(
+      await interpreter.interpretAsync("lvl * 2", environment),
+      8
+    );
+    assert.strictEqual(1, astCache.size);
+    const ast = astCache.get("lvl * 2");
+
+    assert.strictEqual(
+      interpreter.interpret("lvl * 2", { identifiers: { lvl: 3 } }),
+      6
+    );
+    assert.strictEqual(1, astCache.size);
+    assert.strictEqual(astCache.get("lvl * 2"), ast);
+  });
+
+  it("should not cache syntactically invalid formula in interpretAsync()", async () => {
+    const interpreter = new CachedInterpreter();
+    // @ts-expect-error Accessing private property for test
+    const astCache = interpreter.astCache_;
+
+    await assert.rejects(
+      interpreter.interpretAsync("max(2, )"),
+      D2FSyntaxError
+    );
+    assert.strictEqual(0, astCache.size);
+  });
+
+  describe("with maxSize", () => {
+    it("should evict the least recently used AST", () => {
+      const interpreter = new CachedInterpreter({ maxSize: 2 });
+
+      interpreter.interpret("1");
+      interpreter.interpret("2");
+      interpreter.interpret("1");
+      interpreter.interpret("3");
+
+      assert.ok(interpreter.has("1"));
+      assert.ok(!interpreter.has("2"));
+      assert.ok(interpreter.has("3"));
+      assert.strictEqual(interpreter.getStats().evictions, 1);
+    });
+
+    it("should not cache anything if maxSize is 0", () => {
+      const interpreter = new CachedInterpreter({ maxSize: 0 });
+      assert.strictEqual(interpreter.interpret("1 + 2"), 3);
+      assert.ok(!interpreter.has("1 + 2"));
+    });
+
+    it("should reject invalid maxSize", () => {
+      assert.throws(() => new CachedInterpreter({ maxSize: -1 }), RangeError);
+      assert.throws(() => new CachedInterpreter({ maxSize: 1.5 }), RangeError);
+      assert.throws(() => new CachedInterpreter({ maxSize: NaN }), RangeError);
+    });
+  });
+
+  it("should count hits and misses", () => {
+    const interpreter = new CachedInterpreter({ maxSize: 10 });
+
+    interpreter.interpret("1");
+    interpreter.interpret("1");
+    interpreter.interpret("2");
+    assert.throws(() => interpreter.interpret("max(2, )"), D2FSyntaxError);
+
+    assert.deepStrictEqual(interpreter.getStats(), {
+      hits: 1,
+      misses: 3,
+      evictions: 0,
+      size: 2,
+      maxSize: 10,
+    });
+  });
+
+  it("should have unlimited size by default", () => {
+    assert.strictEqual(new CachedInterpreter().getStats().maxSize, Infinity);
+  });
+
+  it("should delete and clear cached ASTs", () => {
+    const interpreter = new CachedInterpreter();
+    interpreter.interpret("1");
+    interpreter.interpret("2");
+
+    assert.strictEqual(interpreter.delete("1"), true);
+    assert.strictEqual(interpreter.delete("1"), false);
+    assert.ok(!interpreter.has("1"));
+    assert.ok(interpreter.has("2"));
+
+    interpreter.clear();
+    assert.ok(!interpreter.has("2"));
+    assert.strictEqual(interpreter.getStats().size, 0);
+    assert.strictEqual(interpreter.getStats().misses, 2);
+  });
+
+  it("should warm the cache and report invalid formulae", () => {
+    const interpreter = new CachedInterpreter();
+
+    const failures = interpreter.warm(["1 + 2", "max(2, )", "lvl"]);
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].text, "max(2, )");
+    assert.ok(failures[0].error instanceof D2FSyntaxError);
+
+    assert.ok(interpreter.has("1 + 2"));
+    assert.ok(interpreter.has("lvl"));
+    assert.deepStrictEqual(interpreter.getStats(), {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      size: 2,
+      maxSize: Infinity,
+    });
+
+    interpreter.interpret("1 + 2");
+    assert.strictEqual(interpreter.getStats().hits, 1);
+  });
+
+  it("should mark warmed formulae as recently used", () => {
+    const interpreter = new CachedInterpreter({ maxSize: 2 });
+    interpreter.interpret("1");
+    interpreter.interpret("2");
+
+    interpreter.warm(["1"]);
+    interpreter.interpret("3");
+
+    assert.ok(interpreter.has("1"));
+    assert.ok(!interpreter.has("2"));
+  });
+
+  it("should memoize callbacks if memoize is true", () => {
+    const interpreter = new CachedInterpreter();
+    const ln12 = sinon.fake.returns(3);
+
+    assert.strictEqual(
+      interpreter.interpret(
+        "ln12 * ln12",
+        { identifiers: { ln12 } },
+        {
+          memoize: true,
+        }
+      ),
+      9
+    );
+    sinon.assert.calledOnce(ln12);
+  });
+
+  it("should pass the trace to the trace option", () => {
+    const interpreter = new CachedInterpreter();
+    const trace = sinon.fake();
+
+    assert.strictEqual(interpreter.interpret("2 * 3", {}, { trace }), 6);
+    sinon.assert.calledOnce(trace);
+    assert.strictEqual(trace.firstCall.args[0].value, 6);
+  });
 });
@@ -0,0 +1,393 @@
+import { strict as assert } from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  CliUsageError,
+  createEnvironment,
+  formatDiagnostics,
+  formatError,
+  lintDirectory,
+  main,
+  parseArguments,
+  parseLintArguments,
+  runReplCommand,
+} from "../src/cli.js";
+import { D2FInterpreterError, D2FSyntaxError } from "../src/errors.js";
+import { interpret } from "../src/interpreter.js";
+
+/**
+ * @typedef {import("../src/validator.js").EnvironmentSchema} EnvironmentSchema
+ */
+
+describe("parseArguments()", () => {
+  it("should parse code and definitions", () => {
+    assert.deepStrictEqual(
+      parseArguments(["min(lvl*2, 50)", "-D", "lvl=12", "--define", "x=-3"]),
+      {
+        code: "min(lvl*2, 50)",
+        defines: { lvl: 12, x: -3 },
+        envFile: null,
+        help: false,
+      }
+    );
+  });
+
+  it("should accept definitions attached to -D", () => {
+    assert.deepStrictEqual(parseArguments(["-Dlvl=5"]).defines, { lvl: 5 });
+  });
+
+  it("should parse the environment file and help options", () => {
+    assert.deepStrictEqual(parseArguments(["-e", "env.json", "-h"]), {
+      code: null,
+      defines: {},
+      envFile: "env.json",
+      help: true,
+    });
+    assert.strictEqual(parseArguments(["--env", "a.json"]).envFile, "a.json");
+  });
+
+  it("should treat negative numbers and arguments after -- as code", () => {
+    assert.strictEqual(parseArguments(["-5 + 2"]).code, "-5 + 2");
+    assert.strictEqual(parseArguments(["--", "-lvl"]).code, "-lvl");
+  });
+
+  it("should reject invalid arguments", () => {
+    assert.throws(() => parseArguments(["--foo"]), CliUsageError);
+    assert.throws(() => parseArguments(["-D"]), CliUsageError);
+    assert.throws(() => parseArguments(["-D", "lvl"]), CliUsageError);
+    assert.throws(() => parseArguments(["-D", "lvl=1.5"]), CliUsageError);
+    assert.throws(() => parseArguments(["-e"]), CliUsageError);
+    assert.throws(() => parseArguments(["1", "+", "2"]), CliUsageError);
+  });
+});
+
+describe("createEnvironment()", () => {
+  const environment = createEnvironment(
+    {
+      identifiers: { lvl: 12, blvl: 3 },
+      functions: { bonus: { 1: { 2: 30 } } },
+      referenceFunctions: { skill: { "Fire Bolt": { blvl: 20 } } },
+      referenceFunctions2Q: { stat: { hp: { accr: { base: 5 } } } },
+    },
+    { blvl: 7 }
+  );
+
+  it("should provide identifiers, with definitions taking precedence", () => {
+    assert.strictEqual(interpret("lvl + blvl", environment), 19);
+  });
+
+  it("should look up functions in tables", () => {
+    assert.strictEqual(interpret("bonus(1, 2)", environment), 30);
+    assert.strictEqual(interpret("skill('Fire Bolt'.blvl)", environment), 20);
+    assert.strictEqual(interpret("stat('hp'.accr.base)", environment), 5);
+  });
+
+  it("should provide min() and max()", () => {
+    assert.strictEqual(interpret("min(lvl * 2, 50)", environment), 24);
+    assert.strictEqual(interpret("max(lvl * 2, 50)", environment), 50);
+  });
+
+  it("should throw if a table has no entry for the arguments", () => {
+    assert.throws(() => interpret("bonus(1, 3)", environment), {
+      name: "D2FCallbackError",
+      message: /No entry for bonus\(1, 3\)/,
+    });
+    assert.throws(
+      () => interpret("skill('Fire Bolt'.clvl)", environment),
+      D2FInterpreterError
+    );
+    assert.throws(
+      () => interpret("stat('hp'.accr.toString)", environment),
+      D2FInterpreterError
+    );
+  });
+});
+
+describe("formatError()", () => {
+  it("should include the code frame of syntax errors", () => {
+    let error;
+    try {
+      interpret("1 +");
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error instanceof D2FSyntaxError);
+    assert.strictEqual(
+      formatError(error, "1 +"),
+      `D2FSyntaxError: ${error.message}\n${error.codeFrame("1 +")}`
+    );
+  });
+
+  it("should format other errors with their name and message", () => {
+    assert.strictEqual(
+      formatError(new D2FInterpreterError("oops"), "1"),
+      "D2FInterpreterError: oops"
+    );
+  });
+});
+
+describe("runReplCommand()", () => {
+  const environmentFile = { identifiers: { lvl: 3 } };
+  const state = {
+    environmentFile,
+    environment: createEnvironment(environmentFile),
+  };
+
+  it("should evaluate code", () => {
+    assert.strictEqual(runReplCommand("lvl * 2\n", state), "6");
+    assert.strictEqual(runReplCommand("   ", state), "");
+  });
+
+  it("should print the AST with :ast", () => {
+    assert.deepStrictEqual(JSON.parse(runReplCommand(":ast -lvl", state)), {
+      type: "AstUnaryOp",
+      operator: "-",
+      expression: {
+        type: "AstIdentifier",
+        name: "lvl",
+        span: { start: 1, end: 4 },
+      },
+      span: { start: 0, end: 4 },
+    });
+  });
+
+  it("should print the tokens with :tokens", () => {
+    assert.strictEqual(
+      runReplCommand(":tokens 1+ lvl", state),
+      '0\tNumber\t"1"\n1\tOperator\t"+"\n3\tIdentifier\t"lvl"'
+    );
+  });
+
+  it("should print the environment with :env", () => {
+    assert.deepStrictEqual(
+      JSON.parse(runReplCommand(":env", state)),
+      environmentFile
+    );
+  });
+
+  it("should print errors instead of throwing", () => {
+    assert.ok(
+      /^D2FInterpreterError: Unknown identifier: foo/.test(
+        runReplCommand("foo", state)
+      )
+    );
+    assert.ok(/^D2FSyntaxError: /.test(runReplCommand(":ast 1 +", state)));
+    assert.ok(/^Unknown command: :nope/.test(runReplCommand(":nope", state)));
+  });
+});
+
+describe("parseLintArguments()", () => {
+  it("should parse the directory and options", () => {
+    assert.deepStrictEqual(
+      parseLintArguments(["excel", "-f", "sarif", "--vocabulary", "v.json"]),
+      {
+        directory: "excel",
+        format: "sarif",
+        vocabularyFile: "v.json",
+        help: false,
+      }
+    );
+    assert.strictEqual(
+      parseLintArguments(["excel", "-v", "v.json"]).format,
+      "text"
+    );
+    assert.strictEqual(parseLintArguments(["--help"]).help, true);
+  });
+
+  it("should reject invalid arguments", () => {
+    assert.throws(() => parseLintArguments([]), CliUsageError);
+    assert.throws(() => parseLintArguments(["excel"]), {
+      name: CliUsageError.name,
+      message: "Missing vocabulary file; pass it with --vocabulary <file>",
+    });
+    assert.throws(
+      () => parseLintArguments(["a", "b", "-v", "v.json"]),
+      CliUsageError
+    );
+    assert.throws(() => parseLintArguments(["a", "-f", "xml"]), CliUsageError);
+    assert.throws(() => parseLintArguments(["a", "--fix"]), CliUsageError);
+  });
+});
+
+describe("lint command", () => {
+  /** @type {EnvironmentSchema} */
+  const VOCABULARY = {
+    identifiers: ["lvl", "ulvl", "ln12", "ln34", "dm12", "dm34", "par8"],
+    functions: { max: 2, min: 2 },
+    referenceFunctions: { miss: null, skill: null, stat: null },
+  };
+
+  /** @type {string} */
+  let directory;
+  /** @type {string} */
+  let vocabularyFile;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "d2calc-lint-"));
+    vocabularyFile = path.join(directory, "vocabulary.json");
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(
+      path.join(directory, "Skills.txt"),
+      "skill\tcalc1\tcalc2\r\n" +
+        "Fire Bolt\tln12 + lnl2\tmin(1, )\r\n" +
+        "Ice Bolt\tskill('Fire Bolt'.blvl)\t\r\n"
+    );
+    fs.writeFileSync(path.join(directory, "other.txt"), "a\tb\r\n1 +\t2\r\n");
+    fs.writeFileSync(vocabularyFile, JSON.stringify(VOCABULARY));
+  });
+
+  after(() => {
+    fs.unlinkSync(path.join(directory, "Skills.txt"));
+    fs.unlinkSync(path.join(directory, "other.txt"));
+    fs.unlinkSync(vocabularyFile);
+    fs.rmdirSync(directory);
+  });
+
+  /**
+   * Runs the command-line tool and collects its output.
+   *
+   * @param {string[]} args
+   * @return {Promise<{ exitCode: number, stdout: string, stderr: string }>}
+   */
+  async function run(args) {
+    let stdout = "";
+    let stderr = "";
+    const exitCode = await main(args, {
+      stdin: process.stdin,
+      stdout: /** @type {NodeJS.WritableStream} */ (
+        /** @type {unknown} */ ({
+          write: (/** @type {string} */ text) => (stdout += text),
+        })
+      ),
+      stderr: /** @type {NodeJS.WritableStream} */ (
+        /** @type {unknown} */ ({
+          write: (/** @type {string} */ text) => (stderr += text),
+        })
+      ),
+    });
+    return { exitCode, stdout, stderr };
+  }
+
+  it("should lint the formula columns of known files", () => {
+    const diagnostics = lintDirectory(directory, VOCABULARY);
+    assert.deepStrictEqual(
+      diagnostics.map(({ file, line, column, offset }) => [
+        path.basename(file),
+        line,
+        column,
+        offset,
+      ]),
+      [
+        ["Skills.txt", 2, "calc1", 17],
+        ["Skills.txt", 2, "calc2", 29],
+      ]
+    );
+  });
+
+  it("should accept a representative vanilla row", () => {
+    fs.writeFileSync(
+      path.join(directory, "Skills.txt"),
+      "skill\tcalc1\tcalc2\tToHitCalc\tEDmgSymPerCalc\r\n" +
+        "Fire Bolt\tln12\tmin(ulvl, 99)\tdm12 + lvl * ln34\t" +
+        "(skill('Fire Ball'.blvl)+skill('Meteor'.blvl))*par8\r\n"
+    );
+    assert.deepStrictEqual(lintDirectory(directory, VOCABULARY), []);
+  });
+
+  it("should print diagnostics as file:line:column and exit with 1", async () => {
+    const file = path.join(directory, "Skills.txt");
+    assert.deepStrictEqual(
+      await run(["lint", directory, "-v", vocabularyFile]),
+      {
+        exitCode: 1,
+        stdout:
+          `${file}:2:18: UnknownIdentifier: Unknown identifier "lnl2" at position 7 (column calc1)\n` +
+          `${file}:2:30: SyntaxError: Unexpected token ")" at position 7 (column calc2)\n`,
+        stderr: "",
+      }
+    );
+  });
+
+  it("should use the vocabulary file and exit with 0 if there are no problems", async () => {
+    fs.writeFileSync(
+      vocabularyFile,
+      JSON.stringify({ identifiers: ["ln12", "lnl2"], functions: {} })
+    );
+    const result = await run(["lint", directory, "-v", vocabularyFile]);
+    assert.strictEqual(result.exitCode, 1);
+    assert.ok(!result.stdout.includes("lnl2"));
+    assert.ok(
+      /Unknown single-qualifier reference function/.test(result.stdout)
+    );
+
+    fs.writeFileSync(
+      vocabularyFile,
+      JSON.stringify({ identifiers: ["ln12", "lnl2"] })
+    );
+    fs.writeFileSync(
+      path.join(directory, "Skills.txt"),
+      "skill\tcalc1\r\nFire Bolt\tln12 + lnl2\r\n"
+    );
+    assert.deepStrictEqual(
+      await run(["lint", directory, "-v", vocabularyFile]),
+      { exitCode: 0, stdout: "", stderr: "" }
+    );
+  });
+
+  it("should exit with 2 if no vocabulary file is given", async () => {
+    const result = await run(["lint", directory]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.ok(/^Missing vocabulary file/.test(result.stderr));
+  });
+
+  it("should exit with 2 if the directory cannot be read", async () => {
+    const result = await run([
+      "lint",
+      path.join(directory, "missing"),
+      "-v",
+      vocabularyFile,
+    ]);
+    assert.strictEqual(result.exitCode, 2);
+    assert.ok(/^Cannot read directory/.test(result.stderr));
+  });
+
+  it("should print diagnostics as JSON", () => {
+    const diagnostics = lintDirectory(directory, VOCABULARY);
+    const output = JSON.parse(formatDiagnostics(diagnostics, "json"));
+    assert.deepStrictEqual(output[0], {
+      file: path.join(directory, "Skills.txt"),
+      line: 2,
+      column: "calc1",
+      offset: 17,
+      code: "ln12 + lnl2",
+      rule: "UnknownIdentifier",
+      message: 'Unknown identifier "lnl2" at position 7',
+    });
+  });
+
+  it("should print diagnostics as SARIF", () => {
+    const diagnostics = lintDirectory(directory, VOCABULARY);
+    const log = JSON.parse(formatDiagnostics(diagnostics, "sarif"));
+
+    assert.strictEqual(log.version, "2.1.0");
+    const [run] = log.runs;
+    assert.deepStrictEqual(run.tool.driver.rules, [
+      { id: "SyntaxError" },
+      { id: "UnknownIdentifier" },
+    ]);
+    assert.strictEqual(run.results.length, 2);
+    assert.deepStrictEqual(
+      run.results[0].locations[0].physicalLocation.region,
+      {
+        startLine: 2,
+        startColumn: 18,
+        endColumn: 22,
+        snippet: { text: "ln12 + lnl2" },
+      }
+    );
+  });
+});
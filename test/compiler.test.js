@@ -0,0 +1,170 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import { compile } from "../src/compiler.js";
+import {
+  D2CalcCallbackError,
+  D2FCallbackError,
+  D2FInterpreterError,
+  D2FSyntaxError,
+} from "../src/errors.js";
+import { interpret } from "../src/interpreter.js";
+import { parse, parseWithRecovery } from "../src/parser.js";
+
+/**
+ * @typedef {import("../src/environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("../src/parser.js").AstBinaryOp} AstBinaryOp
+ */
+
+/**
+ * Verifies that the compiled code produces the given value, and that it
+ * matches the result of `interpret()`.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {InterpreterEnvironment} environment
+ * @param {number} value
+ */
+function itCompilesTo(code, environment, value) {
+  it(`Test "${code}"`, () => {
+    assert.strictEqual(compile(code)(environment), value);
+    assert.strictEqual(interpret(code, environment), value);
+  });
+}
+
+describe("compile()", () => {
+  describe("should evaluate numbers and operators", () => {
+    itCompilesTo("0", {}, 0);
+    itCompilesTo("2 + 3 * 4", {}, 14);
+    itCompilesTo("(2 + 3) * 4", {}, 20);
+    itCompilesTo("100 - 5", {}, 95);
+    itCompilesTo("-30", {}, -30);
+    itCompilesTo("1 < 2", {}, 1);
+    itCompilesTo("2 > 2", {}, 0);
+    itCompilesTo("2 <= 2", {}, 1);
+    itCompilesTo("1 >= 2", {}, 0);
+    itCompilesTo("3 == 3", {}, 1);
+    itCompilesTo("3 != 3", {}, 0);
+    itCompilesTo("(3 == 2) ? 10 : 20", {}, 20);
+  });
+
+  describe("should use 32-bit integer arithmetic", () => {
+    itCompilesTo("2147483647 + 1", {}, -2147483648);
+    itCompilesTo("-2147483648 - 1", {}, 2147483647);
+    itCompilesTo("65536 * 65536", {}, 0);
+    itCompilesTo("123456789 * 1000", {}, -1097262584);
+    itCompilesTo("7 / 2", {}, 3);
+    itCompilesTo("-7 / 2", {}, -3);
+    itCompilesTo("5 / 0", {}, 0);
+  });
+
+  it("should accept an AST", () => {
+    const formula = compile(parse("lvl * 2"));
+    assert.strictEqual(formula({ identifiers: { lvl: 5 } }), 10);
+  });
+
+  it("should be reusable with different environments", () => {
+    const formula = compile("min(lvl, 10) + ln12");
+    const environment = /** @param {number} lvl */ (lvl) => ({
+      identifiers: { lvl, ln12: 3 },
+      functions: {
+        min: /** @type {(a: number, b: number) => number} */ (Math.min),
+      },
+    });
+
+    assert.strictEqual(formula(environment(1)), 4);
+    assert.strictEqual(formula(environment(20)), 13);
+  });
+
+  it("should call identifier and function callbacks", () => {
+    const funcvar = sinon.fake.returns(138);
+    const max = sinon.fake.returns(42);
+    const formula = compile("max(funcvar, 2)");
+
+    assert.strictEqual(
+      formula({ identifiers: { funcvar }, functions: { max } }),
+      42
+    );
+    sinon.assert.calledOnceWithExactly(funcvar);
+    sinon.assert.calledOnceWithExactly(max, 138, 2);
+  });
+
+  it("should call reference functions", () => {
+    const skill = sinon.fake.returns(7);
+    const stat = sinon.fake.returns(9);
+    const formula = compile(
+      "skill('Fire Bolt'.blvl) + stat((1 + 2).accr.base)"
+    );
+
+    assert.strictEqual(
+      formula({
+        referenceFunctions: { skill },
+        referenceFunctions2Q: { stat },
+      }),
+      16
+    );
+    sinon.assert.calledOnceWithExactly(skill, "Fire Bolt", "blvl");
+    sinon.assert.calledOnceWithExactly(stat, 3, "accr", "base");
+  });
+
+  it("should evaluate only the chosen branch of a conditional", () => {
+    const yes = sinon.fake.returns(1);
+    const no = sinon.fake.returns(2);
+    const formula = compile("cond ? yes : no");
+
+    assert.strictEqual(formula({ identifiers: { cond: 1, yes, no } }), 1);
+    sinon.assert.calledOnce(yes);
+    sinon.assert.notCalled(no);
+  });
+
+  it("should throw D2FInterpreterError when evaluated, not when compiled", () => {
+    const formula = compile("unknown + min(1, 2)");
+    assert.throws(() => formula(), D2FInterpreterError);
+    assert.throws(
+      () => formula({ identifiers: { unknown: 1 } }),
+      /Unknown function: min/
+    );
+  });
+
+  it("should wrap D2FErrors thrown by callbacks in D2FCallbackError", () => {
+    const expression = parse("ln12 * 2");
+    const oops = new D2FInterpreterError("Oops");
+    const ln12 = () => {
+      throw oops;
+    };
+    assert.throws(() => compile(expression)({ identifiers: { ln12 } }), {
+      name: D2FCallbackError.name,
+      cause: oops,
+      node: /** @type {AstBinaryOp} */ (expression).left,
+    });
+  });
+
+  it("should wrap other errors thrown by callbacks in D2CalcCallbackError", () => {
+    const expression = parse("ln12 * 2");
+    const oops = new TypeError("Oops");
+    const ln12 = () => {
+      throw oops;
+    };
+    assert.throws(() => compile(expression)({ identifiers: { ln12 } }), {
+      name: D2CalcCallbackError.name,
+      cause: oops,
+      node: /** @type {AstBinaryOp} */ (expression).left,
+    });
+  });
+
+  it("should throw D2FSyntaxError for invalid code", () => {
+    assert.throws(() => compile("1 +"), D2FSyntaxError);
+  });
+
+  it("should throw the stored error when evaluating an AstError node", () => {
+    const { expression, diagnostics } = parseWithRecovery("min(1, ) + 2");
+    const formula = compile(expression);
+    const min = sinon.fake.returns(1);
+    assert.throws(
+      () => formula({ functions: { min } }),
+      (/** @type {unknown} */ error) => error === diagnostics[0]
+    );
+    sinon.assert.notCalled(min);
+  });
+});
@@ -0,0 +1,149 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import { interpretAsync } from "../src/async-interpreter.js";
+import { memoizeEnvironment, stackEnvironments } from "../src/environment.js";
+import { D2FInterpreterError } from "../src/errors.js";
+import { interpret } from "../src/interpreter.js";
+
+/**
+ * @typedef {import("../src/environment.js").AsyncInterpreterEnvironment} AsyncInterpreterEnvironment
+ * @typedef {import("../src/environment.js").InterpreterEnvironment} InterpreterEnvironment
+ */
+
+describe("onUnknown* resolvers", () => {
+  it("should resolve identifiers that are not in the environment", () => {
+    const onUnknownIdentifier = sinon.fake((name) =>
+      name === "par1" ? 10 : undefined
+    );
+    const environment = { identifiers: { lvl: 5 }, onUnknownIdentifier };
+
+    assert.strictEqual(interpret("lvl + par1", environment), 15);
+    sinon.assert.calledOnceWithExactly(onUnknownIdentifier, "par1");
+    assert.throws(() => interpret("par2", environment), {
+      name: D2FInterpreterError.name,
+      message: "Unknown identifier: par2",
+    });
+  });
+
+  it("should resolve functions that are not in the environment", () => {
+    assert.strictEqual(
+      interpret("add(1, 2) + stat('strength'.accr) + sum(10.a.b) * 0", {
+        onUnknownFunction: (name) =>
+          name === "add" ? (a, b) => a + b : undefined,
+        onUnknownReferenceFunction: (name) =>
+          name === "stat" ? () => 100 : undefined,
+        onUnknownReferenceFunction2Q: (name) =>
+          name === "sum" ? () => 1 : undefined,
+      }),
+      103
+    );
+  });
+
+  it("should not call the resolver for names in the environment", () => {
+    const onUnknownFunction = sinon.fake();
+    assert.strictEqual(
+      interpret("min(3, 4)", {
+        functions: { min: Math.min },
+        onUnknownFunction,
+      }),
+      3
+    );
+    sinon.assert.notCalled(onUnknownFunction);
+  });
+
+  it("should memoize callbacks returned by resolvers", () => {
+    const ln12 = sinon.fake.returns(7);
+    const environment = memoizeEnvironment({
+      onUnknownIdentifier: () => ln12,
+    });
+
+    assert.strictEqual(interpret("ln12 + ln12", environment), 14);
+    sinon.assert.calledOnce(ln12);
+  });
+});
+
+describe("stackEnvironments()", () => {
+  const gameDefaults = {
+    identifiers: { lvl: 1, mana: 10, range: 3 },
+    functions: { min: Math.min },
+  };
+  /** @type {InterpreterEnvironment} */
+  const modOverrides = { identifiers: { mana: 20 } };
+  /** @type {InterpreterEnvironment} */
+  const character = { identifiers: { lvl: 15 } };
+
+  it("should prefer later environments", () => {
+    const environment = stackEnvironments(
+      gameDefaults,
+      modOverrides,
+      character
+    );
+    assert.strictEqual(interpret("lvl", environment), 15);
+    assert.strictEqual(interpret("mana", environment), 20);
+    assert.strictEqual(interpret("min(range, 100)", environment), 3);
+  });
+
+  it("should throw if no environment has the name", () => {
+    const environment = stackEnvironments(gameDefaults, character);
+    assert.throws(() => interpret("missing", environment), {
+      name: D2FInterpreterError.name,
+      message: "Unknown identifier: missing",
+    });
+    assert.throws(() => interpret("skill('Bash'.lvl)", environment), {
+      name: D2FInterpreterError.name,
+      message: "Unknown single-qualifier reference function: skill",
+    });
+  });
+
+  it("should try the resolvers of each environment in order", () => {
+    const defaultSkill = sinon.fake.returns(1);
+    const modSkill = sinon.fake.returns(2);
+    const environment = stackEnvironments(
+      { onUnknownReferenceFunction: () => defaultSkill },
+      {
+        onUnknownReferenceFunction: (name) =>
+          name === "skill" ? modSkill : undefined,
+      },
+      { identifiers: { lvl: 15 } }
+    );
+
+    assert.strictEqual(interpret("skill('Bash'.lvl)", environment), 2);
+    assert.strictEqual(interpret("miss('Arrow'.range)", environment), 1);
+    sinon.assert.calledOnceWithExactly(modSkill, "Bash", "lvl");
+    sinon.assert.calledOnceWithExactly(defaultSkill, "Arrow", "range");
+  });
+
+  it("should reflect changes made to the environments", () => {
+    const base = { identifiers: { lvl: 1 } };
+    /** @type {{identifiers: {[name: string]: number}}} */
+    const top = { identifiers: {} };
+    const environment = stackEnvironments(base, top);
+
+    assert.strictEqual(interpret("lvl", environment), 1);
+    top.identifiers.lvl = 20;
+    assert.strictEqual(interpret("lvl", environment), 20);
+  });
+
+  it("should work with interpretAsync()", async () => {
+    /** @type {AsyncInterpreterEnvironment} */
+    const character = { identifiers: { lvl: async () => 30 } };
+    const environment = stackEnvironments(
+      gameDefaults,
+      /** @type {InterpreterEnvironment} */ (character)
+    );
+    assert.strictEqual(await interpretAsync("lvl + mana", environment), 40);
+  });
+
+  it("should return an empty environment if none are given", () => {
+    assert.throws(() => interpret("lvl", stackEnvironments()), {
+      name: D2FInterpreterError.name,
+    });
+  });
+});
+
+afterEach(() => {
+  // Restore the default sandbox
+  sinon.restore();
+});
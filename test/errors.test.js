@@ -0,0 +1,49 @@
+import { strict as assert } from "assert";
+
+import { D2FSyntaxError } from "../src/errors.js";
+
+describe("D2FSyntaxError", () => {
+  it("should accept a message without location info", () => {
+    const error = new D2FSyntaxError("test");
+    assert.strictEqual(error.message, "test");
+    assert.strictEqual(error.start, 0);
+    assert.strictEqual(error.end, 0);
+    assert.strictEqual(error.tokenKind, null);
+    assert.deepStrictEqual(error.expected, []);
+  });
+
+  describe("codeFrame()", () => {
+    it("should underline the offending code", () => {
+      const error = new D2FSyntaxError("test", {
+        start: 4,
+        end: 7,
+        tokenKind: "Identifier",
+        expected: [],
+      });
+      assert.strictEqual(error.codeFrame("1 + foo"), "1 + foo\n    ^^^");
+    });
+
+    it("should show a single caret at the end of input", () => {
+      const error = new D2FSyntaxError("test", {
+        start: 4,
+        end: 4,
+        tokenKind: "EndOfInput",
+        expected: [],
+      });
+      assert.strictEqual(error.codeFrame("1 + "), "1 + \n    ^");
+    });
+
+    it("should only show the line that contains the error", () => {
+      const error = new D2FSyntaxError("test", {
+        start: 8,
+        end: 20,
+        tokenKind: null,
+        expected: [],
+      });
+      assert.strictEqual(
+        error.codeFrame("1 +\n2 + 'ab\ncd"),
+        "2 + 'ab\n    ^^^"
+      );
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import { D2FInterpreterError } from "../src/errors.js";
+import { explain } from "../src/explainer.js";
+import { interpret } from "../src/interpreter.js";
+import { parse } from "../src/parser.js";
+
+/**
+ * @typedef {import("../src/explainer.js").TraceNode} TraceNode
+ */
+
+/**
+ * Removes the `span` field from a trace tree and its descendants, and omits
+ * fields with default values to make tests shorter.
+ *
+ * @param {TraceNode} trace
+ * @return {object}
+ */
+function simplify(trace) {
+  /** @type {{[key: string]: unknown}} */
+  const result = { type: trace.type };
+  if (trace.operator !== null) result.operator = trace.operator;
+  if (trace.name !== null) result.name = trace.name;
+  if (trace.args !== null) result.args = trace.args;
+  if (trace.inputs.length > 0) result.inputs = trace.inputs.map(simplify);
+  result.value = trace.value;
+  if (trace.skipped) result.skipped = true;
+  if (trace.overflow) result.overflow = true;
+  if (trace.divisionByZero) result.divisionByZero = true;
+  return result;
+}
+
+describe("explain()", () => {
+  it("should trace every intermediate value", () => {
+    const { value, trace } = explain("1 + 2 * lvl", {
+      identifiers: { lvl: 3 },
+    });
+
+    assert.strictEqual(value, 7);
+    assert.deepStrictEqual(simplify(trace), {
+      type: "AstBinaryOp",
+      operator: "+",
+      inputs: [
+        { type: "AstNumber", value: 1 },
+        {
+          type: "AstBinaryOp",
+          operator: "*",
+          inputs: [
+            { type: "AstNumber", value: 2 },
+            { type: "AstIdentifier", name: "lvl", value: 3 },
+          ],
+          value: 6,
+        },
+      ],
+      value: 7,
+    });
+  });
+
+  it("should record the location of each node", () => {
+    const { trace } = explain("1 + 23");
+    assert.deepStrictEqual(trace.span, { start: 0, end: 6 });
+    assert.deepStrictEqual(trace.inputs[1].span, { start: 4, end: 6 });
+  });
+
+  it("should record the arguments passed to callbacks", () => {
+    const { value, trace } = explain(
+      "min(ln12, 10) + skill('Fire Bolt'.blvl) + stat((1 + 1).accr.base)",
+      {
+        identifiers: { ln12: () => 15 },
+        functions: { min: Math.min },
+        referenceFunctions: { skill: () => 4 },
+        referenceFunctions2Q: { stat: () => 5 },
+      }
+    );
+
+    assert.strictEqual(value, 19);
+    assert.deepStrictEqual(simplify(trace), {
+      type: "AstBinaryOp",
+      operator: "+",
+      inputs: [
+        {
+          type: "AstBinaryOp",
+          operator: "+",
+          inputs: [
+            {
+              type: "AstFunctionCall",
+              name: "min",
+              args: [15, 10],
+              inputs: [
+                { type: "AstIdentifier", name: "ln12", args: [], value: 15 },
+                { type: "AstNumber", value: 10 },
+              ],
+              value: 10,
+            },
+            {
+              type: "AstRefFunctionCall",
+              name: "skill",
+              args: ["Fire Bolt", "blvl"],
+              value: 4,
+            },
+          ],
+          value: 14,
+        },
+        {
+          type: "AstRefFunctionCall",
+          name: "stat",
+          args: [2, "accr", "base"],
+          inputs: [
+            {
+              type: "AstBinaryOp",
+              operator: "+",
+              inputs: [
+                { type: "AstNumber", value: 1 },
+                { type: "AstNumber", value: 1 },
+              ],
+              value: 2,
+            },
+          ],
+          value: 5,
+        },
+      ],
+      value: 19,
+    });
+  });
+
+  it("should mark branches that were not taken as skipped", () => {
+    const no = sinon.fake.returns(2);
+    const { value, trace } = explain("cond ? 1 : (no + 3)", {
+      identifiers: { cond: 1, no },
+    });
+
+    assert.strictEqual(value, 1);
+    sinon.assert.notCalled(no);
+    assert.deepStrictEqual(simplify(trace), {
+      type: "AstConditional",
+      inputs: [
+        { type: "AstIdentifier", name: "cond", value: 1 },
+        { type: "AstNumber", value: 1 },
+        {
+          type: "AstBinaryOp",
+          operator: "+",
+          inputs: [
+            { type: "AstIdentifier", name: "no", value: null, skipped: true },
+            { type: "AstNumber", value: null, skipped: true },
+          ],
+          value: null,
+          skipped: true,
+        },
+      ],
+      value: 1,
+    });
+  });
+
+  it("should flag overflow", () => {
+    assert.strictEqual(explain("2147483647 + 1").trace.overflow, true);
+    assert.strictEqual(explain("-2147483648 - 1").trace.overflow, true);
+    assert.strictEqual(explain("65536 * 65536").trace.overflow, true);
+    assert.strictEqual(explain("-2147483648").trace.overflow, true);
+    assert.strictEqual(explain("2147483646 + 1").trace.overflow, false);
+    assert.strictEqual(explain("-65536 * 32768").trace.overflow, false);
+  });
+
+  it("should flag division by zero", () => {
+    const { value, trace } = explain("5 / 0");
+    assert.strictEqual(value, 0);
+    assert.strictEqual(trace.divisionByZero, true);
+    assert.strictEqual(explain("5 / 1").trace.divisionByZero, false);
+  });
+
+  describe("should produce the same result as interpret()", () => {
+    const environment = {
+      identifiers: { lvl: 12, ln12: () => 7 },
+      functions: { max: Math.max },
+    };
+    for (const code of [
+      "ln12 * lvl / 3",
+      "(lvl > 10) ? max(ln12, 20) : (-ln12)",
+      "2147483647 * lvl",
+      "-2147483648 / -1",
+    ]) {
+      it(`Test "${code}"`, () => {
+        assert.strictEqual(
+          explain(code, environment).value,
+          interpret(code, environment)
+        );
+      });
+    }
+  });
+
+  it("should accept an AST", () => {
+    assert.strictEqual(explain(parse("2 * 3")).value, 6);
+  });
+
+  it("should throw D2FInterpreterError for unknown identifiers", () => {
+    assert.throws(() => explain("foo"), D2FInterpreterError);
+  });
+});
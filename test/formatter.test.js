@@ -0,0 +1,127 @@
+import { strict as assert } from "assert";
+
+import { D2FSyntaxError } from "../src/errors.js";
+import { format } from "../src/formatter.js";
+import {
+  AstBinaryOp,
+  AstConditional,
+  AstIdentifier,
+  AstNumber,
+  AstRefFunctionCall,
+  AstUnaryOp,
+  parse,
+} from "../src/parser.js";
+
+import { stripSpans } from "./helpers/ast.js";
+
+/**
+ * @typedef {import("../src/formatter.js").FormatOptions} FormatOptions
+ * @typedef {import("../src/int32.js").Int32} Int32
+ */
+
+/**
+ * Verifies that the given code is formatted to the expected code, and that the
+ * formatted code is parsed to the same AST as the original code.
+ *
+ * @param {string} code
+ * @param {string} expected
+ * @param {FormatOptions=} options
+ */
+function itFormatsTo(code, expected, options) {
+  it(`Test "${code}"`, () => {
+    const formatted = format(code, options);
+    assert.strictEqual(formatted, expected);
+    assert.deepStrictEqual(
+      stripSpans(parse(formatted)),
+      stripSpans(parse(code))
+    );
+  });
+}
+
+describe("format()", () => {
+  describe("should normalize whitespace", () => {
+    itFormatsTo("1+2", "1 + 2");
+    itFormatsTo("  min( a ,b )", "min(a, b)");
+    itFormatsTo("x?1:2", "x ? 1 : 2");
+    itFormatsTo("stat( 'hp' .accr )", "stat('hp'.accr)");
+    itFormatsTo("skill('Fire Bolt'.lvl .blvl)", "skill('Fire Bolt'.lvl.blvl)");
+  });
+
+  describe("should respect formatting options", () => {
+    itFormatsTo("a + b * c", "a+b*c", { spaceAroundOperators: false });
+    itFormatsTo("a ? b : c", "a?b:c", { spaceAroundConditional: false });
+    itFormatsTo("max(1, 2)", "max(1,2)", { spaceAfterComma: false });
+    itFormatsTo("a - -b", "a--b", { spaceAroundOperators: false });
+  });
+
+  describe("should remove redundant parentheses", () => {
+    itFormatsTo("(1)", "1");
+    itFormatsTo("((a + b)) + (c * d)", "a + b + c * d");
+    itFormatsTo("(a == b) < c", "a == b < c");
+    itFormatsTo("min((a + b), (c))", "min(a + b, c)");
+    itFormatsTo("-(x)", "-x");
+    itFormatsTo("(x ? 1 : 2) ? 3 : 4", "x ? 1 : 2 ? 3 : 4");
+    itFormatsTo("(-x) * 2", "-x * 2");
+    itFormatsTo("f((5).code)", "f(5.code)");
+  });
+
+  describe("should keep necessary parentheses", () => {
+    itFormatsTo("(a + b) * c", "(a + b) * c");
+    itFormatsTo("a - (b - c)", "a - (b - c)");
+    itFormatsTo("a / (b * c)", "a / (b * c)");
+    itFormatsTo("a == (b != c)", "a == (b != c)");
+    itFormatsTo("-(a + b)", "-(a + b)");
+    itFormatsTo("-(-a)", "-(-a)");
+    itFormatsTo("x ? (1 + 2) : (-3)", "x ? (1 + 2) : (-3)");
+    itFormatsTo("(a + b) ? c : d", "(a + b) ? c : d");
+    itFormatsTo("(-a) ? c : d", "(-a) ? c : d");
+    itFormatsTo("x ? 1 : (2 ? 3 : 4)", "x ? 1 : (2 ? 3 : 4)");
+    itFormatsTo("f((a + 1).code)", "f((a + 1).code)");
+    itFormatsTo("f((-a).code1.code2)", "f((-a).code1.code2)");
+  });
+
+  describe("should preserve the odd precedence of conditionals", () => {
+    // Parsed as 1 + (-(3 ? a : 0))
+    itFormatsTo("1 + -3 ? a : 0", "1 + -3 ? a : 0");
+    itFormatsTo("1 + (-3) ? a : 0", "1 + (-3) ? a : 0");
+  });
+
+  describe("should preserve numbers", () => {
+    itFormatsTo("2147483647", "2147483647");
+    itFormatsTo("2147483648", "2147483648");
+    itFormatsTo("-2147483648", "-2147483648");
+    itFormatsTo("4294967297", "1");
+  });
+
+  it("should format AST nodes created manually", () => {
+    assert.strictEqual(
+      format(
+        new AstBinaryOp(
+          "*",
+          new AstNumber(/** @type {Int32} */ (-5)),
+          new AstConditional(
+            new AstIdentifier("c"),
+            new AstNumber(/** @type {Int32} */ (-1)),
+            new AstUnaryOp("-", new AstNumber(/** @type {Int32} */ (-2)))
+          )
+        )
+      ),
+      "-5 * c ? (-1) : (-(-2))"
+    );
+    assert.strictEqual(
+      format(
+        new AstRefFunctionCall(
+          "f",
+          new AstNumber(/** @type {Int32} */ (-3)),
+          "x",
+          null
+        )
+      ),
+      "f((-3).x)"
+    );
+  });
+
+  it("should throw on invalid code", () => {
+    assert.throws(() => format("1 +"), D2FSyntaxError);
+  });
+});
@@ -0,0 +1,74 @@
+import { D2FSyntaxError } from "../../src/errors.js";
+import {
+  AstBinaryOp,
+  AstConditional,
+  AstError,
+  AstFunctionCall,
+  AstIdentifier,
+  AstNumber,
+  AstRefFunctionCall,
+  AstUnaryOp,
+} from "../../src/parser.js";
+
+/**
+ * @typedef {import("../../src/parser.js").AstExpression} AstExpression
+ */
+
+const PLACEHOLDER_ERROR = new D2FSyntaxError("", {
+  start: 0,
+  end: 0,
+  tokenKind: null,
+  expected: [],
+});
+
+/**
+ * Creates a copy of an AST without any source location info.
+ * Useful for comparing the structure of two ASTs.
+ * The syntax errors in `AstError` nodes are replaced with a placeholder.
+ *
+ * @param {AstExpression} expression
+ * @return {AstExpression}
+ */
+export function stripSpans(expression) {
+  switch (expression.type) {
+    case "AstBinaryOp":
+      return new AstBinaryOp(
+        expression.operator,
+        stripSpans(expression.left),
+        stripSpans(expression.right)
+      );
+    case "AstConditional":
+      return new AstConditional(
+        stripSpans(expression.condition),
+        stripSpans(expression.trueExpression),
+        stripSpans(expression.falseExpression)
+      );
+    case "AstError":
+      // Syntax errors are compared separately
+      return new AstError(PLACEHOLDER_ERROR);
+    case "AstFunctionCall":
+      return new AstFunctionCall(
+        expression.functionName,
+        stripSpans(expression.arg1),
+        stripSpans(expression.arg2)
+      );
+    case "AstIdentifier":
+      return new AstIdentifier(expression.name);
+    case "AstNumber":
+      return new AstNumber(expression.value);
+    case "AstRefFunctionCall":
+      return new AstRefFunctionCall(
+        expression.functionName,
+        typeof expression.reference === "string"
+          ? expression.reference
+          : stripSpans(expression.reference),
+        expression.code1,
+        expression.code2
+      );
+    case "AstUnaryOp":
+      return new AstUnaryOp(
+        expression.operator,
+        stripSpans(expression.expression)
+      );
+  }
+}
@@ -2,14 +2,20 @@ import { strict as assert } from "assert";
 
 import sinon from "sinon";
 
-import { D2FInterpreterError } from "../src/errors.js";
+import {
+  D2CalcCallbackError,
+  D2FCallbackError,
+  D2FInterpreterError,
+} from "../src/errors.js";
 import { interpret } from "../src/interpreter.js";
+import { AstRefFunctionCall } from "../src/parser.js";
 
 /**
  * @typedef {import("../src/interpreter.js").InterpreterEnvironment} InterpreterEnvironment
  * @typedef {import("../src/interpreter.js").NumericFunction} NumericFunction
  * @typedef {import("../src/interpreter.js").ReferenceFunction} ReferenceFunction
  * @typedef {import("../src/interpreter.js").ReferenceFunction2Q} ReferenceFunction2Q
+ * @typedef {import("../src/trace.js").TraceNode} TraceNode
  */
 
 /**
@@ -276,6 +282,260 @@ describe("interpret()", () => {
       )
     );
   });
+
+  describe("when a callback throws", () => {
+    it("should wrap a D2FError in D2FCallbackError", () => {
+      const oops = new D2FInterpreterError("Oops");
+      const stat = () => {
+        throw oops;
+      };
+
+      assert.throws(
+        () =>
+          interpret("1 + stat('strength'.accr)", {
+            referenceFunctions: { stat },
+          }),
+        (/** @type {unknown} */ error) => {
+          assert.ok(error instanceof D2FCallbackError);
+          assert.strictEqual(
+            error.message,
+            'Oops (caused while evaluating single-qualifier reference function "stat")'
+          );
+          assert.strictEqual(error.cause, oops);
+          assert.strictEqual(error.kind, "referenceFunction");
+          assert.strictEqual(error.callbackName, "stat");
+          assert.deepStrictEqual(error.args, ["strength", "accr"]);
+          assert.ok(error.node instanceof AstRefFunctionCall);
+          return true;
+        }
+      );
+      // The original error must be left untouched
+      assert.strictEqual(oops.message, "Oops");
+    });
+
+    it("should record the arguments of numeric functions", () => {
+      assert.throws(
+        () =>
+          interpret("div(6, 1 + 2)", {
+            functions: {
+              div: () => {
+                throw new D2FInterpreterError("Nope");
+              },
+            },
+          }),
+        {
+          name: D2FCallbackError.name,
+          message: 'Nope (caused while calling function "div")',
+          kind: "function",
+          callbackName: "div",
+          args: [6, 3],
+        }
+      );
+    });
+
+    it("should wrap other errors in D2CalcCallbackError", () => {
+      const oops = new RangeError("Oops");
+      assert.throws(
+        () =>
+          interpret("lvl", {
+            identifiers: {
+              lvl: () => {
+                throw oops;
+              },
+            },
+          }),
+        {
+          name: D2CalcCallbackError.name,
+          message: 'Oops (caused while evaluating identifier "lvl")',
+          cause: oops,
+          kind: "identifier",
+          callbackName: "lvl",
+          args: [],
+        }
+      );
+      assert.strictEqual(oops.message, "Oops");
+
+      assert.throws(
+        () =>
+          interpret("lvl", {
+            identifiers: {
+              lvl: () => {
+                throw "Oops";
+              },
+            },
+          }),
+        {
+          name: D2CalcCallbackError.name,
+          message: 'Oops (caused while evaluating identifier "lvl")',
+          cause: "Oops",
+        }
+      );
+    });
+
+    it("should chain errors of nested interpretations", () => {
+      /** @type {InterpreterEnvironment} */
+      const environment = {
+        identifiers: {
+          outer: () => interpret("inner", environment),
+          inner: () => interpret("missing", environment),
+        },
+      };
+
+      assert.throws(
+        () => interpret("outer", environment),
+        (/** @type {unknown} */ error) => {
+          assert.ok(error instanceof D2FCallbackError);
+          assert.strictEqual(error.callbackName, "outer");
+          const cause = error.cause;
+          assert.ok(cause instanceof D2FCallbackError);
+          assert.strictEqual(cause.callbackName, "inner");
+          assert.ok(cause.cause instanceof D2FInterpreterError);
+          assert.strictEqual(
+            cause.cause.message,
+            "Unknown identifier: missing"
+          );
+          return true;
+        }
+      );
+    });
+  });
+
+  describe("with memoize", () => {
+    it("should call each identifier once", () => {
+      const ln12 = sinon.fake.returns(30);
+      const lvl = sinon.fake.returns(4);
+      const environment = { identifiers: { ln12, lvl } };
+      const code = "(ln12 * lvl > 100) ? (ln12 * lvl) : 100";
+
+      assert.strictEqual(interpret(code, environment, { memoize: true }), 120);
+      sinon.assert.calledOnce(ln12);
+      sinon.assert.calledOnce(lvl);
+
+      // The results are not remembered between calls
+      assert.strictEqual(interpret(code, environment, { memoize: true }), 120);
+      sinon.assert.calledTwice(ln12);
+    });
+
+    it("should call each function once for the same arguments", () => {
+      const max = sinon.fake(
+        (/** @type {number} */ a, /** @type {number} */ b) => Math.max(a, b)
+      );
+      const skill = sinon.fake.returns(5);
+      const stat = sinon.fake.returns(7);
+      const environment = {
+        functions: { max },
+        referenceFunctions: { skill },
+        referenceFunctions2Q: { stat },
+      };
+
+      assert.strictEqual(
+        interpret(
+          "max(1, 2) + max(1, 2) + max(2, 1) + skill('a'.lvl) + skill('a'.lvl) + skill('b'.lvl) + stat('hp'.accr.base) + stat('hp'.accr.base)",
+          environment,
+          { memoize: true }
+        ),
+        2 + 2 + 2 + 5 + 5 + 5 + 7 + 7
+      );
+      sinon.assert.calledTwice(max);
+      sinon.assert.calledTwice(skill);
+      sinon.assert.calledOnce(stat);
+    });
+
+    it("should tell apart callbacks of different kinds with the same name", () => {
+      const environment = {
+        identifiers: { x: () => 1 },
+        functions: { x: () => 2 },
+      };
+      assert.strictEqual(
+        interpret("x + x(0, 0)", environment, { memoize: true }),
+        3
+      );
+    });
+
+    it("should not remember errors", () => {
+      let calls = 0;
+      const environment = {
+        identifiers: {
+          flaky: () => {
+            if (++calls === 1) throw new Error("Try again");
+            return 1;
+          },
+        },
+      };
+      assert.throws(
+        () => interpret("flaky", environment, { memoize: true }),
+        /Try again/
+      );
+      assert.strictEqual(interpret("flaky", environment, { memoize: true }), 1);
+    });
+
+    it("should not use inherited callbacks", () => {
+      assert.throws(
+        () => interpret("toString", { identifiers: {} }, { memoize: true }),
+        D2FInterpreterError
+      );
+    });
+
+    it("should call callbacks every time by default", () => {
+      const ln12 = sinon.fake.returns(30);
+      assert.strictEqual(
+        interpret("ln12 + ln12", { identifiers: { ln12 } }),
+        60
+      );
+      sinon.assert.calledTwice(ln12);
+    });
+  });
+
+  describe("with trace", () => {
+    it("should pass the trace of the code to the callback", () => {
+      const trace = sinon.fake();
+      assert.strictEqual(
+        interpret(
+          "(lvl > 1) ? (lvl * 2) : 0",
+          { identifiers: { lvl: 3 } },
+          { trace }
+        ),
+        6
+      );
+      sinon.assert.calledOnce(trace);
+
+      const root = trace.firstCall.args[0];
+      assert.strictEqual(root.type, "AstConditional");
+      assert.strictEqual(root.value, 6);
+      assert.deepStrictEqual(
+        root.inputs.map((/** @type {TraceNode} */ node) => [
+          node.value,
+          node.skipped,
+        ]),
+        [
+          [1, false],
+          [6, false],
+          [null, true],
+        ]
+      );
+    });
+
+    it("should use the memoized environment", () => {
+      const ln12 = sinon.fake.returns(5);
+      const trace = sinon.fake();
+      interpret(
+        "ln12 + ln12",
+        { identifiers: { ln12 } },
+        { memoize: true, trace }
+      );
+      sinon.assert.calledOnce(ln12);
+      assert.strictEqual(trace.firstCall.args[0].value, 10);
+    });
+
+    it("should not call the callback if an error occurs", () => {
+      const trace = sinon.fake();
+      assert.throws(
+        () => interpret("missing", {}, { trace }),
+        D2FInterpreterError
+      );
+      sinon.assert.notCalled(trace);
+    });
+  });
 });
 
 afterEach(() => {
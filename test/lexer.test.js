@@ -183,4 +183,60 @@ describe("tokenize()", () => {
     itFailsTokenizeWith("missing opening single-quote'", D2FSyntaxError);
     itFailsTokenizeWith('"foo"', D2FSyntaxError);
   });
+
+  describe("should report the location of invalid tokens", () => {
+    itFailsTokenizeWith("1 + &", {
+      start: 4,
+      end: 5,
+      tokenKind: null,
+      expected: [],
+    });
+    itFailsTokenizeWith("stat('hp.accr)", {
+      start: 5,
+      end: 14,
+      tokenKind: null,
+      expected: [],
+    });
+    itFailsTokenizeWith("stat('hp'. accr)", {
+      start: 9,
+      end: 10,
+      tokenKind: null,
+      expected: [],
+    });
+  });
+
+  it("should record and skip malformed tokens if diagnostics are requested", () => {
+    /** @type {D2FSyntaxError[]} */
+    const diagnostics = [];
+    assert.deepStrictEqual(tokenize("1 & 2 . 'ab", diagnostics), [
+      makeNumberToken(0, "1", 1),
+      makeNumberToken(4, "2", 2),
+    ]);
+    assert.deepStrictEqual(
+      diagnostics.map((error) => [error.start, error.end]),
+      [
+        [2, 3],
+        [6, 7],
+        [8, 11],
+      ]
+    );
+  });
+
+  it("should provide the kind of each token", () => {
+    assert.deepStrictEqual(
+      tokenize("1 a 'r' + ( ) , .c ? :").map((token) => token.kind),
+      [
+        "Number",
+        "Identifier",
+        "Reference",
+        "Operator",
+        "OpeningParenthesis",
+        "ClosingParenthesis",
+        "Comma",
+        "DotCode",
+        "QuestionMark",
+        "Colon",
+      ]
+    );
+  });
 });
@@ -0,0 +1,236 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import {
+  D2CalcCallbackError,
+  D2FCallbackError,
+  D2FInterpreterError,
+} from "../src/errors.js";
+import { interpret, interpretExpression } from "../src/interpreter.js";
+import { optimize, partialEvaluate } from "../src/optimizer.js";
+import { AstBinaryOp, AstNumber, parse } from "../src/parser.js";
+
+import { stripSpans } from "./helpers/ast.js";
+
+/**
+ * @typedef {import("../src/environment.js").InterpreterEnvironment} InterpreterEnvironment
+ * @typedef {import("../src/int32.js").Int32} Int32
+ */
+
+/**
+ * Verifies that optimizing the given code produces the same AST as parsing the
+ * expected code, and that the result of interpreting it does not change.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {string} expected
+ * @param {InterpreterEnvironment=} environment
+ */
+function itOptimizesTo(code, expected, environment = {}) {
+  it(`Test "${code}"`, () => {
+    const ast = parse(code);
+    const optimized = optimize(ast);
+    assert.deepStrictEqual(stripSpans(optimized), stripSpans(parse(expected)));
+    assert.strictEqual(
+      interpretExpression(optimized, environment),
+      interpretExpression(ast, environment)
+    );
+  });
+}
+
+/**
+ * Verifies that optimizing the given code produces a single number.
+ *
+ * @param {string} code
+ * @param {number} value
+ */
+function itFoldsTo(code, value) {
+  it(`Test "${code}"`, () => {
+    const ast = parse(code);
+    assert.deepStrictEqual(
+      stripSpans(optimize(ast)),
+      new AstNumber(/** @type {Int32} */ (value))
+    );
+    assert.strictEqual(interpretExpression(ast, {}), value);
+  });
+}
+
+describe("optimize()", () => {
+  describe("should fold constant operators", () => {
+    itFoldsTo("(256 * 3) / 2", 384);
+    itFoldsTo("1 + 2 * 3 - 4", 3);
+    itFoldsTo("-5", -5);
+    itFoldsTo("-(2 + 3)", -5);
+    itFoldsTo("2 < 3", 1);
+    itFoldsTo("(2 == 3) != 0", 0);
+  });
+
+  describe("should fold with 32-bit integer arithmetic", () => {
+    itFoldsTo("2147483647 + 1", -2147483648);
+    itFoldsTo("-2147483648 - 1", 2147483647);
+    itFoldsTo("65536 * 65536", 0);
+    itFoldsTo("-7 / 2", -3);
+    itFoldsTo("5 / 0", 0);
+    itFoldsTo("-2147483648", -2147483648);
+  });
+
+  describe("should fold conditionals with constant conditions", () => {
+    itOptimizesTo("1 ? a : b", "a", { identifiers: { a: 1, b: 2 } });
+    itOptimizesTo("0 ? a : b", "b", { identifiers: { a: 1, b: 2 } });
+    itOptimizesTo("(2 - 2) ? a : (3 * 4)", "12");
+  });
+
+  describe("should fold constants inside other expressions", () => {
+    itOptimizesTo("lvl * (256 * 3)", "lvl * 768", { identifiers: { lvl: 3 } });
+    itOptimizesTo("lvl ? (1 + 1) : (2 + 2)", "lvl ? 2 : 4", {
+      identifiers: { lvl: 0 },
+    });
+    itOptimizesTo("min(1 + 2, lvl - 0)", "min(3, lvl - 0)", {
+      identifiers: { lvl: 7 },
+      functions: { min: (a, b) => Math.min(a, b) },
+    });
+    itOptimizesTo("skill((1 + 2).lvl)", "skill(3.lvl)", {
+      referenceFunctions: { skill: () => 5 },
+    });
+    itOptimizesTo("stat('hp'.accr.base) + 2 * 3", "stat('hp'.accr.base) + 6", {
+      referenceFunctions2Q: { stat: () => 5 },
+    });
+  });
+
+  it("should not fold INT32_MIN / -1", () => {
+    // The interpreter returns 2147483648 for this, which is not an Int32
+    const ast = parse("2147483648 / -1");
+    const optimized = optimize(ast);
+    assert.deepStrictEqual(
+      stripSpans(optimized),
+      new AstBinaryOp(
+        "/",
+        new AstNumber(/** @type {Int32} */ (-2147483648)),
+        new AstNumber(/** @type {Int32} */ (-1))
+      )
+    );
+    assert.strictEqual(
+      interpretExpression(optimized, {}),
+      interpretExpression(ast, {})
+    );
+  });
+
+  it("should not modify the original AST", () => {
+    const ast = parse("lvl + 2 * 3");
+    const astCopy = parse("lvl + 2 * 3");
+    optimize(ast);
+    assert.deepStrictEqual(ast, astCopy);
+  });
+
+  it("should reuse nodes that cannot be optimized", () => {
+    const ast = /** @type {AstBinaryOp} */ (parse("min(a, b) + 2 * 3"));
+    const optimized = /** @type {AstBinaryOp} */ (optimize(ast));
+    assert.notStrictEqual(optimized, ast);
+    assert.strictEqual(optimized.left, ast.left);
+  });
+
+  it("should keep the span of folded expressions", () => {
+    const optimized = optimize("lvl + (2 * 3)");
+    assert.ok(optimized instanceof AstBinaryOp);
+    assert.deepStrictEqual(optimized.right.span, { start: 7, end: 12 });
+  });
+});
+
+describe("partialEvaluate()", () => {
+  /** @type {InterpreterEnvironment} */
+  const environment = {
+    identifiers: { lvl: 20, par1: 5, blvl: () => 12 },
+    functions: { min: Math.min },
+    referenceFunctions: { skill: (ref) => (ref === "Bash" ? 3 : 0) },
+    referenceFunctions2Q: { sum: () => 7 },
+  };
+
+  /**
+   * Verifies that partially evaluating the given code produces the expected
+   * residual code.
+   *
+   * @param {string} code
+   * @param {string} expected
+   */
+  function itEvaluatesTo(code, expected) {
+    it(`Test "${code}"`, () => {
+      const { expression, text } = partialEvaluate(code, environment);
+      assert.strictEqual(text, expected);
+      assert.deepStrictEqual(
+        stripSpans(expression),
+        stripSpans(parse(expected))
+      );
+    });
+  }
+
+  itEvaluatesTo(
+    "lvl * 64 + par1 * 0 + stat('strength'.accr) * 3",
+    "1280 + stat('strength'.accr) * 3"
+  );
+  itEvaluatesTo("min(lvl * 2, 50) + blvl", "52");
+  itEvaluatesTo("min(lvl, x) + max(lvl, 1)", "min(20, x) + max(20, 1)");
+  itEvaluatesTo("skill('Bash'.lvl) + skill(par1.lvl)", "3");
+  itEvaluatesTo("skill(x.lvl) + sum(1.a.b)", "skill(x.lvl) + 7");
+  itEvaluatesTo("(lvl > 10) ? (x) : (y)", "x");
+  itEvaluatesTo("x ? (lvl) : (par1)", "x ? 20 : 5");
+  itEvaluatesTo("unknown", "unknown");
+
+  it("should give the same result as interpret()", () => {
+    const code = "(x + lvl * 2) * min(par1, y) / 3";
+    const known = { x: 7, y: 10 };
+    const { expression } = partialEvaluate(code, environment);
+    assert.strictEqual(
+      interpretExpression(expression, {
+        identifiers: known,
+        functions: environment.functions,
+      }),
+      interpret(code, {
+        identifiers: Object.assign({}, environment.identifiers, known),
+        functions: environment.functions,
+      })
+    );
+  });
+
+  it("should only call callbacks in the selected branch", () => {
+    const ln12 = sinon.fake.returns(1);
+    const ln34 = sinon.fake.returns(2);
+    const { text } = partialEvaluate("lvl ? (ln12) : (ln34)", {
+      identifiers: { lvl: 1, ln12, ln34 },
+    });
+    assert.strictEqual(text, "1");
+    sinon.assert.notCalled(ln34);
+  });
+
+  it("should accept an AST", () => {
+    assert.strictEqual(
+      partialEvaluate(parse("lvl + 1"), environment).text,
+      "21"
+    );
+  });
+
+  it("should throw D2FCallbackError if a callback throws a D2FError", () => {
+    const lvl = () => {
+      throw new D2FInterpreterError("Oops");
+    };
+    assert.throws(
+      () => partialEvaluate("lvl + 1", { identifiers: { lvl } }),
+      D2FCallbackError
+    );
+  });
+
+  it("should throw D2CalcCallbackError if a callback throws anything else", () => {
+    const lvl = () => {
+      throw new TypeError("Oops");
+    };
+    assert.throws(
+      () => partialEvaluate("lvl + 1", { identifiers: { lvl } }),
+      D2CalcCallbackError
+    );
+  });
+});
+
+afterEach(() => {
+  // Restore the default sandbox
+  sinon.restore();
+});
@@ -5,14 +5,18 @@ import { isInt32 } from "../src/int32.js";
 import {
   AstBinaryOp,
   AstConditional,
+  AstError,
   AstFunctionCall,
   AstIdentifier,
   AstNumber,
   AstRefFunctionCall,
   AstUnaryOp,
   parse,
+  parseWithRecovery,
 } from "../src/parser.js";
 
+import { stripSpans } from "./helpers/ast.js";
+
 /**
  * @typedef {import("../src/int32.js").Int32} Int32
  * @typedef {import("../src/parser.js").AstExpression} AstExpression
@@ -22,22 +26,24 @@ import {
  * Helper method that creates an AstNumber object from a number.
  *
  * @param {number} n
+ * @param {import("../src/parser.js").SourceSpan=} span
  * @return {AstNumber}
  */
-function makeAstNumber(n) {
+function makeAstNumber(n, span) {
   assert.ok(isInt32(n), `Invalid test input: ${n} is not Int32`);
-  return new AstNumber(n);
+  return new AstNumber(n, span);
 }
 
 /**
  * Verifies that the given code matches the given AST.
+ * Source locations are ignored.
  *
  * @param {string} code
  * @param {AstExpression} ast
  */
 function itParsesTo(code, ast) {
   it(`Test "${code}"`, () => {
-    assert.deepStrictEqual(parse(code), ast);
+    assert.deepStrictEqual(stripSpans(parse(code)), ast);
   });
 }
 
@@ -381,4 +387,321 @@ describe("parse()", () => {
     itFailsParseWith("funcname(300-400.test)", D2FSyntaxError);
     itFailsParseWith("funcname(500>600.test)", D2FSyntaxError);
   });
+
+  describe("should report the location and cause of syntax errors", () => {
+    itFailsParseWith("1 2", {
+      start: 2,
+      end: 3,
+      tokenKind: "Number",
+      expected: ["Operator", "QuestionMark", "EndOfInput"],
+    });
+    itFailsParseWith("1 + ", {
+      start: 4,
+      end: 4,
+      tokenKind: "EndOfInput",
+      expected: ["Number", "Identifier", "OpeningParenthesis", "Operator"],
+    });
+    itFailsParseWith("-,", {
+      start: 1,
+      end: 2,
+      tokenKind: "Comma",
+      expected: ["Number", "Identifier", "OpeningParenthesis"],
+    });
+    itFailsParseWith("(4 5)", {
+      start: 3,
+      end: 4,
+      tokenKind: "Number",
+      expected: ["Operator", "QuestionMark", "ClosingParenthesis"],
+    });
+    itFailsParseWith("c ? 1 2", {
+      start: 6,
+      end: 7,
+      tokenKind: "Number",
+      expected: ["Colon"],
+    });
+    itFailsParseWith("min(1 2)", {
+      start: 6,
+      end: 7,
+      tokenKind: "Number",
+      expected: ["Operator", "QuestionMark", "Comma", "DotCode"],
+    });
+    itFailsParseWith("stat('hp')", {
+      start: 9,
+      end: 10,
+      tokenKind: "ClosingParenthesis",
+      expected: ["DotCode"],
+    });
+    itFailsParseWith("stat('hp'.accr", {
+      start: 14,
+      end: 14,
+      tokenKind: "EndOfInput",
+      expected: ["ClosingParenthesis", "DotCode"],
+    });
+    itFailsParseWith("f(1 + 2.code)", {
+      start: 2,
+      end: 7,
+      tokenKind: "Number",
+      expected: [],
+    });
+    itFailsParseWith("1 + @", {
+      start: 4,
+      end: 5,
+      tokenKind: null,
+      expected: [],
+    });
+  });
+
+  describe("should record the source location of each node", () => {
+    it("for numbers and identifiers", () => {
+      assert.deepStrictEqual(parse(" 42 "), makeAstNumber(42, span(1, 3)));
+      assert.deepStrictEqual(
+        parse("lvl"),
+        new AstIdentifier("lvl", span(0, 3))
+      );
+    });
+
+    it("for operators", () => {
+      assert.deepStrictEqual(
+        parse("-a + b*2"),
+        new AstBinaryOp(
+          "+",
+          new AstUnaryOp("-", new AstIdentifier("a", span(1, 2)), span(0, 2)),
+          new AstBinaryOp(
+            "*",
+            new AstIdentifier("b", span(5, 6)),
+            makeAstNumber(2, span(7, 8)),
+            span(5, 8)
+          ),
+          span(0, 8)
+        )
+      );
+    });
+
+    it("for parenthesized operands", () => {
+      assert.deepStrictEqual(
+        parse("(1+2) * 3"),
+        new AstBinaryOp(
+          "*",
+          new AstBinaryOp(
+            "+",
+            makeAstNumber(1, span(1, 2)),
+            makeAstNumber(2, span(3, 4)),
+            span(1, 4)
+          ),
+          makeAstNumber(3, span(8, 9)),
+          span(0, 9)
+        )
+      );
+    });
+
+    it("for conditional expressions", () => {
+      assert.deepStrictEqual(
+        parse("c ? 1 : 2"),
+        new AstConditional(
+          new AstIdentifier("c", span(0, 1)),
+          makeAstNumber(1, span(4, 5)),
+          makeAstNumber(2, span(8, 9)),
+          span(0, 9)
+        )
+      );
+    });
+
+    it("for function calls", () => {
+      assert.deepStrictEqual(
+        parse("min(x, 5)"),
+        new AstFunctionCall(
+          "min",
+          new AstIdentifier("x", span(4, 5)),
+          makeAstNumber(5, span(7, 8)),
+          span(0, 9)
+        )
+      );
+    });
+
+    it("for reference function calls", () => {
+      assert.deepStrictEqual(
+        parse("skill('Fire Bolt'.blvl)"),
+        new AstRefFunctionCall(
+          "skill",
+          "Fire Bolt",
+          "blvl",
+          null,
+          span(0, 23),
+          { reference: span(6, 17), code1: span(17, 22) }
+        )
+      );
+      assert.deepStrictEqual(
+        parse("f((1).a .b)"),
+        new AstRefFunctionCall(
+          "f",
+          makeAstNumber(1, span(3, 4)),
+          "a",
+          "b",
+          span(0, 11),
+          { reference: span(2, 5), code1: span(5, 7), code2: span(8, 10) }
+        )
+      );
+    });
+  });
 });
+
+/**
+ * Verifies that `parseWithRecovery()` produces the given AST and reports
+ * syntax errors at the given locations. Source locations of AST nodes are
+ * ignored.
+ *
+ * @param {string} code
+ * @param {AstExpression} ast
+ * @param {[number, number][]} errorSpans `[start, end]` of each syntax error
+ */
+function itRecoversTo(code, ast, errorSpans) {
+  it(`Test "${code}"`, () => {
+    const { expression, diagnostics } = parseWithRecovery(code);
+    assert.deepStrictEqual(stripSpans(expression), stripSpans(ast));
+    assert.deepStrictEqual(
+      diagnostics.map((error) => [error.start, error.end]),
+      errorSpans
+    );
+    for (const error of diagnostics) {
+      assert.ok(error instanceof D2FSyntaxError);
+    }
+  });
+}
+
+/**
+ * Creates a placeholder `AstError` for comparison with `stripSpans()`.
+ *
+ * @return {AstError}
+ */
+function makeAstError() {
+  // The error is replaced when compared, so any error object will do
+  return new AstError(
+    new D2FSyntaxError("", { start: 0, end: 0, tokenKind: null, expected: [] })
+  );
+}
+
+describe("parseWithRecovery()", () => {
+  it("should parse valid code like parse()", () => {
+    const code = "min(ln12 * 2, skill('Fire Bolt'.lvl)) ? 1 : (-2)";
+    assert.deepStrictEqual(parseWithRecovery(code), {
+      expression: parse(code),
+      diagnostics: [],
+    });
+  });
+
+  describe("should report every syntax error", () => {
+    itRecoversTo(
+      "stat('hp') + min(lvl, 3",
+      new AstBinaryOp(
+        "+",
+        makeAstError(),
+        new AstFunctionCall("min", new AstIdentifier("lvl"), makeAstNumber(3))
+      ),
+      [
+        [9, 10],
+        [23, 23],
+      ]
+    );
+    itRecoversTo(
+      "max(1 +, ) - (2 3)",
+      new AstBinaryOp(
+        "-",
+        new AstFunctionCall(
+          "max",
+          new AstBinaryOp("+", makeAstNumber(1), makeAstError()),
+          makeAstError()
+        ),
+        makeAstError()
+      ),
+      [
+        [7, 8],
+        [9, 10],
+        [16, 17],
+      ]
+    );
+    itRecoversTo(
+      "1 + 2) * 3 4",
+      new AstBinaryOp("+", makeAstNumber(1), makeAstNumber(2)),
+      [
+        [5, 6],
+        [11, 12],
+      ]
+    );
+  });
+
+  describe("should resync at colons", () => {
+    itRecoversTo(
+      "c ? 1 2 : 3",
+      new AstConditional(
+        new AstIdentifier("c"),
+        makeAstNumber(1),
+        makeAstNumber(3)
+      ),
+      [[6, 7]]
+    );
+    itRecoversTo(
+      "c ? : 2",
+      new AstConditional(
+        new AstIdentifier("c"),
+        makeAstError(),
+        makeAstNumber(2)
+      ),
+      [[4, 5]]
+    );
+  });
+
+  describe("should recover from malformed tokens", () => {
+    itRecoversTo(
+      "1 + @2",
+      new AstBinaryOp("+", makeAstNumber(1), makeAstNumber(2)),
+      [[4, 5]]
+    );
+    itRecoversTo(
+      "f(3.) + 'abc",
+      new AstBinaryOp("+", makeAstError(), makeAstError()),
+      [
+        [3, 4],
+        [4, 5],
+        [8, 12],
+        [12, 12],
+      ]
+    );
+  });
+
+  describe("should report a stray token only once", () => {
+    for (const [code, start] of /** @type {[string, number][]} */ ([
+      [")", 0],
+      ["a + )", 4],
+      [", 1", 0],
+      ["-)", 1],
+      ["a ? 1 : )", 8],
+      ["a ? ) : 2", 4],
+    ])) {
+      it(`Test "${code}"`, () => {
+        const { diagnostics } = parseWithRecovery(code);
+        assert.deepStrictEqual(
+          diagnostics.map((error) => [error.start, error.end]),
+          [[start, start + 1]]
+        );
+      });
+    }
+  });
+
+  it("should record the errors in error nodes", () => {
+    const { expression, diagnostics } = parseWithRecovery("min(1 2)");
+    assert.ok(expression instanceof AstError);
+    assert.strictEqual(expression.error, diagnostics[0]);
+    assert.deepStrictEqual(expression.span, span(0, 8));
+  });
+});
+
+/**
+ * Helper method that creates a source span.
+ *
+ * @param {number} start
+ * @param {number} end
+ * @return {import("../src/parser.js").SourceSpan}
+ */
+function span(start, end) {
+  return { start, end };
+}
@@ -0,0 +1,206 @@
+import { strict as assert } from "assert";
+
+import { D2FSyntaxError } from "../src/errors.js";
+import { interpret } from "../src/interpreter.js";
+import { parseWithRecovery } from "../src/parser.js";
+import { range } from "../src/range-analyzer.js";
+
+/**
+ * @typedef {import("../src/range-analyzer.js").Interval} Interval
+ * @typedef {import("../src/range-analyzer.js").RangeBounds} RangeBounds
+ */
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+/**
+ * Verifies that the range of the given code is `[min, max]`, and whether it
+ * may overflow.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {RangeBounds} bounds
+ * @param {Interval} expected
+ * @param {string[]=} overflowOperators Operators that may overflow
+ */
+function itHasRange(code, bounds, expected, overflowOperators = []) {
+  it(`Test "${code}"`, () => {
+    const result = range(code, bounds);
+    assert.deepStrictEqual([result.min, result.max], expected);
+    assert.deepStrictEqual(
+      result.overflows.map((overflow) => overflow.operator),
+      overflowOperators
+    );
+  });
+}
+
+/**
+ * Verifies that the range of the given code contains every value produced by
+ * `interpret()` for every combination of `x` and `y` in the given ranges.
+ *
+ * @param {string} code
+ * @param {Interval} xRange
+ * @param {Interval} yRange
+ */
+function itContainsEveryValue(code, xRange, yRange) {
+  it(`Test "${code}" with x in [${xRange}] and y in [${yRange}]`, () => {
+    const { min, max } = range(code, {
+      identifiers: { x: xRange, y: yRange },
+    });
+    for (let x = xRange[0]; x <= xRange[1]; ++x) {
+      for (let y = yRange[0]; y <= yRange[1]; ++y) {
+        const value = interpret(code, { identifiers: { x, y } });
+        assert.ok(
+          min <= value && value <= max,
+          `${value} (x=${x}, y=${y}) is not in [${min}, ${max}]`
+        );
+      }
+    }
+  });
+}
+
+describe("range()", () => {
+  describe("should compute the range of constants", () => {
+    itHasRange("5", {}, [5, 5]);
+    itHasRange("2 + 3 * 4", {}, [14, 14]);
+  });
+
+  describe("should compute the range of arithmetic operators", () => {
+    const bounds = {
+      identifiers: { lvl: /** @type {Interval} */ ([1, 99]) },
+    };
+    itHasRange("lvl + 10", bounds, [11, 109]);
+    itHasRange("100 - lvl", bounds, [1, 99]);
+    itHasRange("lvl * -3", bounds, [-297, -3]);
+    itHasRange("lvl / 10", bounds, [0, 9]);
+    itHasRange("-lvl", bounds, [-99, -1]);
+    itHasRange("(lvl - 50) / 7", bounds, [-7, 7]);
+  });
+
+  describe("should compute the range of divisions", () => {
+    const bounds = {
+      identifiers: {
+        a: /** @type {Interval} */ ([10, 20]),
+        b: /** @type {Interval} */ ([-2, 5]),
+      },
+    };
+    itHasRange("a / b", bounds, [-20, 20]);
+    itHasRange("a / (b - 10)", bounds, [-4, 0]);
+    itHasRange("a / 0", bounds, [0, 0]);
+  });
+
+  describe("should compute the range of comparisons", () => {
+    const bounds = {
+      identifiers: {
+        a: /** @type {Interval} */ ([1, 5]),
+        b: /** @type {Interval} */ ([6, 9]),
+      },
+    };
+    itHasRange("a < b", bounds, [1, 1]);
+    itHasRange("a >= b", bounds, [0, 0]);
+    itHasRange("a == b", bounds, [0, 0]);
+    itHasRange("a != b", bounds, [1, 1]);
+    itHasRange("a == 3", bounds, [0, 1]);
+    itHasRange("3 == 3", bounds, [1, 1]);
+  });
+
+  describe("should compute the range of conditionals", () => {
+    const bounds = {
+      identifiers: {
+        cond: /** @type {Interval} */ ([0, 1]),
+        lvl: /** @type {Interval} */ ([1, 99]),
+      },
+    };
+    itHasRange("cond ? lvl : 200", bounds, [1, 200]);
+    itHasRange("(lvl > 0) ? lvl : (2147483647 + 1)", bounds, [1, 99]);
+    itHasRange("(lvl < 0) ? (2147483647 + lvl) : 5", bounds, [5, 5]);
+  });
+
+  describe("should use the ranges of functions", () => {
+    itHasRange(
+      "min(lvl, 20) + skill('Fire Bolt'.blvl) + stat('hp'.accr.base)",
+      {
+        identifiers: { lvl: [1, 99] },
+        functions: { min: [1, 20] },
+        referenceFunctions: { skill: [0, 20] },
+        referenceFunctions2Q: { stat: [0, 1000] },
+      },
+      [1, 1040]
+    );
+  });
+
+  describe("should assume missing names can be any Int32", () => {
+    itHasRange("foo", {}, [INT32_MIN, INT32_MAX]);
+    itHasRange("foo > 0", {}, [0, 1]);
+  });
+
+  describe("should flag possible overflow", () => {
+    const bounds = {
+      identifiers: {
+        lvl: /** @type {Interval} */ ([1, 99]),
+        ln12: /** @type {Interval} */ ([0, 5000]),
+        big: /** @type {Interval} */ ([0, 2147483647]),
+      },
+    };
+    itHasRange("2147483647 + lvl", bounds, [INT32_MIN, -2147483550], ["+"]);
+    itHasRange("2147483600 + lvl", bounds, [INT32_MIN, INT32_MAX], ["+"]);
+    itHasRange("ln12 * lvl", bounds, [0, 495000]);
+    itHasRange("big * lvl", bounds, [INT32_MIN, INT32_MAX], ["*"]);
+    itHasRange(
+      "-(big - 2147483647 - 1)",
+      bounds,
+      [INT32_MIN, INT32_MAX],
+      ["-"]
+    );
+    itHasRange(
+      "(big * 2) + (lvl * 2)",
+      bounds,
+      [INT32_MIN, INT32_MAX],
+      ["*", "+"]
+    );
+  });
+
+  describe("should follow the interpreter for INT32_MIN / -1", () => {
+    itHasRange("2147483648 / -1", {}, [2147483648, 2147483648], ["/"]);
+  });
+
+  describe("should contain every value produced by interpret()", () => {
+    itContainsEveryValue("x + y", [-5, 5], [-5, 5]);
+    itContainsEveryValue("x * y - x", [-8, 3], [-2, 7]);
+    itContainsEveryValue("x / y", [-10, 10], [-3, 4]);
+    itContainsEveryValue("-x / (y - 2)", [-10, 10], [0, 4]);
+    itContainsEveryValue("(x < y) ? (x * 3) : (y - 10)", [-4, 4], [-4, 4]);
+    itContainsEveryValue("2147483640 + x * y", [-4, 4], [0, 3]);
+    itContainsEveryValue("x * 1073741824", [-3, 3], [0, 0]);
+  });
+
+  it("should reject invalid bounds", () => {
+    assert.throws(
+      () => range("lvl", { identifiers: { lvl: [5, 1] } }),
+      RangeError
+    );
+    assert.throws(
+      () => range("lvl", { identifiers: { lvl: [0, 1.5] } }),
+      RangeError
+    );
+  });
+
+  it("should report the location of possible overflow", () => {
+    const { overflows } = range("1 + 2147483647 * 2");
+    assert.deepStrictEqual(overflows, [
+      { operator: "*", span: { start: 4, end: 18 } },
+    ]);
+  });
+
+  it("should throw the error stored in AstError nodes", () => {
+    const { expression, diagnostics } = parseWithRecovery("1 + ");
+    assert.throws(
+      () => range(expression),
+      (/** @type {unknown} */ error) => error === diagnostics[0]
+    );
+  });
+
+  it("should throw D2FSyntaxError for invalid code", () => {
+    assert.throws(() => range("1 +"), D2FSyntaxError);
+  });
+});
@@ -0,0 +1,126 @@
+import { strict as assert } from "assert";
+
+import { D2FInterpreterError } from "../src/errors.js";
+import { interpret } from "../src/interpreter.js";
+import { createSkillEnvironment } from "../src/skill-environment.js";
+
+/**
+ * @typedef {import("../src/skill-environment.js").SkillRow} SkillRow
+ */
+
+/** @type {SkillRow} */
+const skillRow = {
+  skill: "Test Skill",
+  Param1: "10",
+  Param2: "5",
+  Param3: "100",
+  Param4: "400",
+  Param5: "",
+  Param6: 3,
+  Param7: "-2",
+  // Param8 is missing
+  calc1: "ln12 * 2",
+  calc2: "clc1 + par6",
+  calc3: "",
+  calc4: "clc4 + 1",
+  ToHit: "15",
+  LevToHit: "7",
+};
+
+/**
+ * Verifies that the given code evaluates to the given value in the skill
+ * environment.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {number} slvl
+ * @param {number} value
+ */
+function itEvaluatesTo(code, slvl, value) {
+  it(`Test "${code}" at level ${slvl}`, () => {
+    const environment = createSkillEnvironment(skillRow, { slvl });
+    assert.strictEqual(interpret(code, environment), value);
+  });
+}
+
+describe("createSkillEnvironment()", () => {
+  describe("should provide skill levels", () => {
+    it("should use slvl as blvl by default", () => {
+      const environment = createSkillEnvironment(skillRow, { slvl: 7 });
+      assert.strictEqual(interpret("lvl * 100 + blvl", environment), 707);
+    });
+
+    it("should use blvl if given", () => {
+      const environment = createSkillEnvironment(skillRow, {
+        slvl: 7,
+        blvl: 3,
+      });
+      assert.strictEqual(interpret("lvl * 100 + blvl", environment), 703);
+    });
+  });
+
+  describe("should provide parameters", () => {
+    itEvaluatesTo("par1", 1, 10);
+    itEvaluatesTo("par4", 1, 400);
+    itEvaluatesTo("par5", 1, 0);
+    itEvaluatesTo("par6", 1, 3);
+    itEvaluatesTo("par7", 1, -2);
+    itEvaluatesTo("par8", 1, 0);
+  });
+
+  describe("should provide linear functions", () => {
+    itEvaluatesTo("ln12", 1, 10);
+    itEvaluatesTo("ln12", 2, 15);
+    itEvaluatesTo("ln12", 20, 105);
+    itEvaluatesTo("ln56", 10, 27);
+    itEvaluatesTo("ln78", 5, -2);
+  });
+
+  describe("should provide diminishing returns functions", () => {
+    // 100 + (400 - 100) * (110 * lvl / (lvl + 6)) / 100
+    itEvaluatesTo("dm34", 1, 145);
+    itEvaluatesTo("dm34", 10, 304);
+    itEvaluatesTo("dm34", 20, 352);
+    // Like the game, the result may exceed the maximum at high levels
+    itEvaluatesTo("dm34", 99, 409);
+    itEvaluatesTo("dm12", 0, 10);
+  });
+
+  describe("should provide toht", () => {
+    itEvaluatesTo("toht", 1, 15);
+    itEvaluatesTo("toht", 11, 85);
+  });
+
+  describe("should evaluate calc columns", () => {
+    itEvaluatesTo("clc1", 2, 30);
+    itEvaluatesTo("clc2", 2, 33);
+    itEvaluatesTo("clc3", 2, 0);
+  });
+
+  it("should reject circular calc columns", () => {
+    const environment = createSkillEnvironment(skillRow, { slvl: 1 });
+    assert.throws(
+      () => interpret("clc4", environment),
+      (/** @type {unknown} */ error) =>
+        error instanceof D2FInterpreterError &&
+        /Circular reference/.test(error.message)
+    );
+    // The environment must still be usable after the error
+    assert.strictEqual(interpret("clc1", environment), 20);
+  });
+
+  it("should use 32-bit integer arithmetic", () => {
+    const environment = createSkillEnvironment(
+      { Param1: "2147483647", Param2: "1" },
+      { slvl: 2 }
+    );
+    assert.strictEqual(interpret("ln12", environment), -2147483648);
+  });
+
+  it("should reject non-numeric parameters", () => {
+    assert.throws(
+      () => createSkillEnvironment({ Param1: "abc" }, { slvl: 1 }),
+      TypeError
+    );
+  });
+});
@@ -0,0 +1,148 @@
+import { strict as assert } from "assert";
+
+import sinon from "sinon";
+
+import {
+  D2CalcCallbackError,
+  D2FInterpreterError,
+  D2FSyntaxError,
+} from "../src/errors.js";
+import { parse } from "../src/parser.js";
+import { LevelTable, tabulate } from "../src/table.js";
+
+describe("tabulate()", () => {
+  it("should interpret the code for each level", () => {
+    const table = tabulate(
+      "ln12 + lvl * 2",
+      () => ({
+        identifiers: { ln12: 10 },
+      }),
+      { to: 3 }
+    );
+
+    assert.ok(table instanceof LevelTable);
+    assert.strictEqual(table.variable, "lvl");
+    assert.strictEqual(table.label, "value");
+    assert.deepStrictEqual(table.rows, [
+      { input: 1, value: 12, error: null },
+      { input: 2, value: 14, error: null },
+      { input: 3, value: 16, error: null },
+    ]);
+  });
+
+  it("should pass each value to the environment factory", () => {
+    const factory = sinon.fake.returns({});
+    tabulate("x", factory, { variable: "x", from: 5, to: 9, step: 2 });
+
+    assert.deepStrictEqual(
+      factory.getCalls().map((call) => call.args),
+      [[5], [7], [9]]
+    );
+  });
+
+  it("should override identifiers with the same name as the variable", () => {
+    const table = tabulate("lvl", () => ({ identifiers: { lvl: 100 } }), {
+      from: 1,
+      to: 1,
+    });
+    assert.strictEqual(table.rows[0].value, 1);
+  });
+
+  it("should not modify the environment returned by the factory", () => {
+    const environment = { identifiers: { ln12: 1 } };
+    tabulate("lvl", () => environment, { to: 2 });
+    assert.deepStrictEqual(environment, { identifiers: { ln12: 1 } });
+  });
+
+  it("should store interpreter errors in the row", () => {
+    const table = tabulate("(lvl > 1) ? missing : lvl", () => ({}), { to: 2 });
+
+    assert.deepStrictEqual(table.rows[0], { input: 1, value: 1, error: null });
+    assert.strictEqual(table.rows[1].value, null);
+    assert.ok(table.rows[1].error instanceof D2FInterpreterError);
+  });
+
+  it("should rethrow errors that are not caused by D2F code", () => {
+    const boom = new TypeError("boom");
+    const foo = () => {
+      throw boom;
+    };
+    assert.throws(
+      () => tabulate("foo", () => ({ identifiers: { foo } }), { to: 1 }),
+      { name: D2CalcCallbackError.name, cause: boom }
+    );
+  });
+
+  it("should accept an AST", () => {
+    const table = tabulate(parse("lvl * lvl"), () => ({}), { from: 3, to: 3 });
+    assert.strictEqual(table.rows[0].value, 9);
+  });
+
+  it("should throw D2FSyntaxError for invalid code", () => {
+    assert.throws(
+      () => tabulate("lvl +", () => ({}), { to: 1 }),
+      D2FSyntaxError
+    );
+  });
+
+  it("should reject invalid ranges", () => {
+    assert.throws(() => tabulate("lvl", () => ({}), { to: 1.5 }), RangeError);
+    assert.throws(
+      () => tabulate("lvl", () => ({}), { to: 5, step: 0 }),
+      RangeError
+    );
+  });
+
+  it("should produce an empty table if from > to", () => {
+    assert.deepStrictEqual(
+      tabulate("lvl", () => ({}), { from: 2, to: 1 }).rows,
+      []
+    );
+  });
+});
+
+describe("LevelTable", () => {
+  const table = new LevelTable("lvl", "Damage", [
+    { input: 1, value: 10, error: null },
+    {
+      input: 2,
+      value: null,
+      error: new D2FInterpreterError('Unknown identifier: a|b <c>, "d"'),
+    },
+  ]);
+
+  it("should format as CSV", () => {
+    assert.strictEqual(
+      table.toCsv(),
+      'lvl,Damage\r\n1,10\r\n2,"Error: Unknown identifier: a|b <c>, ""d"""\r\n'
+    );
+  });
+
+  it("should format as Markdown", () => {
+    assert.strictEqual(
+      table.toMarkdown(),
+      [
+        "| lvl | Damage |",
+        "| ---: | ---: |",
+        "| 1 | 10 |",
+        '| 2 | Error: Unknown identifier: a\\|b <c>, "d" |',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should format as HTML", () => {
+    assert.strictEqual(
+      table.toHtml(),
+      [
+        "<table>",
+        "<thead><tr><th>lvl</th><th>Damage</th></tr></thead>",
+        "<tbody>",
+        "<tr><td>1</td><td>10</td></tr>",
+        '<tr><td>2</td><td class="error">Error: Unknown identifier: a|b &lt;c&gt;, &quot;d&quot;</td></tr>',
+        "</tbody>",
+        "</table>",
+      ].join("\n")
+    );
+  });
+});
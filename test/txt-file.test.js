@@ -0,0 +1,244 @@
+import { strict as assert } from "assert";
+
+import { CachedInterpreter } from "../src/cached-interpreter.js";
+import {
+  D2CalcCallbackError,
+  D2FInterpreterError,
+  D2FSyntaxError,
+  D2FValidationError,
+} from "../src/errors.js";
+import { createSkillEnvironment } from "../src/skill-environment.js";
+import { evaluateTxtFile, lintTxtFile, parseTxtFile } from "../src/txt-file.js";
+
+/**
+ * Joins cells with tabs and lines with CRLF, like the files of Diablo 2.
+ *
+ * @param {string[][]} lines
+ * @return {string}
+ */
+function makeTxt(lines) {
+  return lines.map((cells) => cells.join("\t")).join("\r\n") + "\r\n";
+}
+
+const SKILLS_TXT = makeTxt([
+  ["skill", "Id", "Param1", "Param2", "calc1", "calc2", "Calc3", "mana"],
+  ["Fire Bolt", "36", "10", "5", "ln12 * 2", "", "lvl", "(lvl + 1)"],
+  ["Expansion", "", "", "", "", "", "", ""],
+  ["Bad Syntax", "37", "0", "0", "1 +", "unknown", "", ""],
+  ["Short Row", "38"],
+  [""],
+]);
+
+describe("parseTxtFile()", () => {
+  it("should parse the header and rows", () => {
+    const table = parseTxtFile(SKILLS_TXT);
+    assert.deepStrictEqual(table.columns, [
+      "skill",
+      "Id",
+      "Param1",
+      "Param2",
+      "calc1",
+      "calc2",
+      "Calc3",
+      "mana",
+    ]);
+    assert.deepStrictEqual(
+      table.rows.map((row) => [row.line, row.values.skill]),
+      [
+        [2, "Fire Bolt"],
+        [4, "Bad Syntax"],
+        [5, "Short Row"],
+      ]
+    );
+    assert.strictEqual(table.rows[0].values.calc1, "ln12 * 2");
+  });
+
+  it("should treat missing cells as empty", () => {
+    const table = parseTxtFile(SKILLS_TXT);
+    assert.strictEqual(table.rows[2].values.calc1, "");
+    assert.strictEqual(table.rows[2].values.mana, "");
+  });
+
+  it("should accept LF line endings and a byte order mark", () => {
+    const table = parseTxtFile("\uFEFFa\tb\n1\t2\n");
+    assert.deepStrictEqual(table, {
+      columns: ["a", "b"],
+      rows: [{ line: 2, values: { a: "1", b: "2" } }],
+    });
+  });
+});
+
+describe("evaluateTxtFile()", () => {
+  const table = parseTxtFile(SKILLS_TXT);
+
+  it("should evaluate the known formula columns of skills.txt", () => {
+    const { rows, errors } = evaluateTxtFile(table, {
+      fileName: "data/global/excel/Skills.txt",
+      environmentFactory: (row) =>
+        createSkillEnvironment(row.values, { slvl: 3 }),
+    });
+
+    assert.deepStrictEqual(rows, [
+      { line: 2, values: { calc1: 40, Calc3: 3 } },
+      { line: 4, values: {} },
+      { line: 5, values: {} },
+    ]);
+    assert.deepStrictEqual(
+      errors.map(({ file, line, column, code, error }) => [
+        file,
+        line,
+        column,
+        code,
+        /** @type {Error} */ (error).constructor,
+      ]),
+      [
+        ["data/global/excel/Skills.txt", 4, "calc1", "1 +", D2FSyntaxError],
+        [
+          "data/global/excel/Skills.txt",
+          4,
+          "calc2",
+          "unknown",
+          D2FInterpreterError,
+        ],
+      ]
+    );
+  });
+
+  it("should evaluate the given formula columns", () => {
+    const { rows, errors } = evaluateTxtFile(table, {
+      formulaColumns: ["mana"],
+      environmentFactory: () => ({ identifiers: { lvl: 9 } }),
+    });
+
+    assert.deepStrictEqual(
+      rows.map((row) => row.values),
+      [{ mana: 10 }, {}, {}]
+    );
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it("should evaluate nothing for unknown files", () => {
+    const { rows } = evaluateTxtFile(table, {
+      fileName: "monstats.txt",
+      environmentFactory: () => ({}),
+    });
+    assert.deepStrictEqual(
+      rows.map((row) => row.values),
+      [{}, {}, {}]
+    );
+  });
+
+  it("should use the given interpreter", () => {
+    const interpreter = new CachedInterpreter();
+    evaluateTxtFile(table, {
+      fileName: "skills.txt",
+      environmentFactory: (row) =>
+        createSkillEnvironment(row.values, { slvl: 1 }),
+      interpreter,
+    });
+    assert.ok(interpreter.has("ln12 * 2"));
+  });
+
+  it("should record errors that are not caused by D2F code", () => {
+    const boom = new TypeError("boom");
+    const { rows, errors } = evaluateTxtFile(table, {
+      fileName: "skills.txt",
+      environmentFactory: () => ({
+        identifiers: {
+          lvl: 1,
+          ln12: () => {
+            throw boom;
+          },
+        },
+      }),
+    });
+
+    assert.deepStrictEqual(rows[0], { line: 2, values: { Calc3: 1 } });
+    const [{ file, line, column, code, error }] = errors;
+    assert.deepStrictEqual(
+      { file, line, column, code },
+      { file: "skills.txt", line: 2, column: "calc1", code: "ln12 * 2" }
+    );
+    assert.ok(error instanceof D2CalcCallbackError);
+    assert.strictEqual(error.cause, boom);
+  });
+});
+
+describe("lintTxtFile()", () => {
+  const schema = { identifiers: ["lvl", "ln12"] };
+
+  it("should report problems with their location in the file", () => {
+    const diagnostics = lintTxtFile(parseTxtFile(SKILLS_TXT), {
+      fileName: "skills.txt",
+      schema,
+    });
+
+    assert.deepStrictEqual(
+      diagnostics.map(({ file, line, column, offset, code }) => ({
+        file,
+        line,
+        column,
+        offset,
+        code,
+      })),
+      [
+        {
+          file: "skills.txt",
+          line: 4,
+          column: "calc1",
+          offset: 21,
+          code: "1 +",
+        },
+        {
+          file: "skills.txt",
+          line: 4,
+          column: "calc2",
+          offset: 22,
+          code: "unknown",
+        },
+      ]
+    );
+    assert.ok(diagnostics[0].error instanceof D2FSyntaxError);
+    assert.ok(diagnostics[1].error instanceof D2FValidationError);
+    assert.strictEqual(diagnostics[1].error.kind, "UnknownIdentifier");
+  });
+
+  it("should check every known formula column", () => {
+    const skills = parseTxtFile(
+      makeTxt([
+        ["skill", "ToHitCalc", "calc1"],
+        ["Jab", "bad1", "bad2"],
+      ])
+    );
+    const skillDesc = parseTxtFile(
+      makeTxt([
+        ["skilldesc", "desccalca1", "dsc3calcb7", "ddam calc1"],
+        ["jab", "bad3", "bad4", "bad5"],
+      ])
+    );
+
+    assert.deepStrictEqual(
+      lintTxtFile(skills, { fileName: "Skills.txt", schema: {} }).map(
+        (diagnostic) => diagnostic.column
+      ),
+      ["ToHitCalc", "calc1"]
+    );
+    assert.deepStrictEqual(
+      lintTxtFile(skillDesc, { fileName: "SkillDesc.txt", schema: {} }).map(
+        (diagnostic) => diagnostic.column
+      ),
+      ["desccalca1", "dsc3calcb7", "ddam calc1"]
+    );
+  });
+
+  it("should use the given formula columns", () => {
+    const diagnostics = lintTxtFile(parseTxtFile(SKILLS_TXT), {
+      formulaColumns: ["MANA"],
+      schema: {},
+    });
+    assert.deepStrictEqual(
+      diagnostics.map(({ line, column, offset }) => [line, column, offset]),
+      [[2, "mana", 33]]
+    );
+  });
+});
@@ -0,0 +1,182 @@
+import { strict as assert } from "assert";
+
+import { D2FSyntaxError, D2FValidationError } from "../src/errors.js";
+import { parse, parseWithRecovery } from "../src/parser.js";
+import { validate } from "../src/validator.js";
+
+/**
+ * @typedef {import("../src/validator.js").EnvironmentSchema} EnvironmentSchema
+ */
+
+/** @type {EnvironmentSchema} */
+const schema = {
+  identifiers: ["lvl", "ln12"],
+  functions: { min: 2, max: 2, rand: 1 },
+  referenceFunctions: {
+    skill: ["lvl", "blvl"],
+    miss: null,
+  },
+  referenceFunctions2Q: {
+    stat: { code1: ["accr"], code2: ["base", "mod"] },
+  },
+};
+
+/**
+ * Verifies that validating the given code produces diagnostics with the given
+ * messages, kinds, and locations.
+ * Helper method for running Mocha tests.
+ *
+ * @param {string} code
+ * @param {[string, string, number, number][]} expected
+ *    Array of `[kind, message, start, end]` for each diagnostic. For syntax
+ *    errors, `kind` is `"SyntaxError"`.
+ */
+function itValidatesTo(code, expected) {
+  it(`Test "${code}"`, () => {
+    assert.deepStrictEqual(
+      validate(code, schema).map((error) => [
+        error instanceof D2FValidationError ? error.kind : "SyntaxError",
+        error.message,
+        error.start,
+        error.end,
+      ]),
+      expected
+    );
+  });
+}
+
+describe("validate()", () => {
+  describe("should accept valid code", () => {
+    itValidatesTo("1 + 2", []);
+    itValidatesTo("min(lvl, ln12) * max(1, 2)", []);
+    itValidatesTo("skill('Fire Bolt'.blvl) + miss('x'.anything)", []);
+    itValidatesTo("stat('hp'.accr.base) - stat(lvl.accr.mod)", []);
+  });
+
+  describe("should report unknown identifiers", () => {
+    itValidatesTo("lvl + lnl2", [
+      ["UnknownIdentifier", 'Unknown identifier "lnl2" at position 6', 6, 10],
+    ]);
+  });
+
+  describe("should report unknown identifiers in both branches", () => {
+    itValidatesTo("lvl ? foo : bar", [
+      ["UnknownIdentifier", 'Unknown identifier "foo" at position 6', 6, 9],
+      ["UnknownIdentifier", 'Unknown identifier "bar" at position 12', 12, 15],
+    ]);
+  });
+
+  describe("should report unknown functions and arity mismatches", () => {
+    itValidatesTo("mn(1, foo)", [
+      ["UnknownFunction", 'Unknown function "mn" at position 0', 0, 2],
+      ["UnknownIdentifier", 'Unknown identifier "foo" at position 6', 6, 9],
+    ]);
+    itValidatesTo("rand(1, 2)", [
+      [
+        "ArityMismatch",
+        'Function "rand" takes 1 argument(s), but 2 were given at position 0',
+        0,
+        10,
+      ],
+    ]);
+  });
+
+  describe("should report unknown reference functions", () => {
+    itValidatesTo("skil('x'.lvl) + stat('x'.accr)", [
+      [
+        "UnknownReferenceFunction",
+        'Unknown single-qualifier reference function "skil" at position 0',
+        0,
+        4,
+      ],
+      [
+        "UnknownReferenceFunction",
+        'Unknown single-qualifier reference function "stat" at position 16',
+        16,
+        20,
+      ],
+    ]);
+    itValidatesTo("skill('x'.lvl.base)", [
+      [
+        "UnknownReferenceFunction2Q",
+        'Unknown double-qualifier reference function "skill" at position 0',
+        0,
+        5,
+      ],
+    ]);
+  });
+
+  describe("should report invalid dot codes", () => {
+    itValidatesTo("stat('hp'.acr.base)", [
+      [
+        "InvalidDotCode",
+        'Unknown dot code ".acr" for reference function "stat" at position 9',
+        9,
+        13,
+      ],
+    ]);
+    itValidatesTo("skill('Fire Bolt'.lv) + stat('hp'.accr.bas)", [
+      [
+        "InvalidDotCode",
+        'Unknown dot code ".lv" for reference function "skill" at position 17',
+        17,
+        20,
+      ],
+      [
+        "InvalidDotCode",
+        'Unknown dot code ".bas" for reference function "stat" at position 38',
+        38,
+        42,
+      ],
+    ]);
+  });
+
+  describe("should validate computed references", () => {
+    itValidatesTo("skill(foo.lvl)", [
+      ["UnknownIdentifier", 'Unknown identifier "foo" at position 6', 6, 9],
+    ]);
+  });
+
+  describe("should report syntax errors along with validation errors", () => {
+    itValidatesTo("foo + min(1, )", [
+      ["UnknownIdentifier", 'Unknown identifier "foo" at position 0', 0, 3],
+      [
+        "SyntaxError",
+        parseWithRecovery("foo + min(1, )").diagnostics[0].message,
+        13,
+        14,
+      ],
+    ]);
+  });
+
+  it("should accept an AST", () => {
+    const diagnostics = validate(parse("foo"), schema);
+    assert.strictEqual(diagnostics.length, 1);
+    assert.ok(diagnostics[0] instanceof D2FValidationError);
+  });
+
+  it("should report errors stored in AstError nodes of an AST", () => {
+    const { expression, diagnostics } = parseWithRecovery("min(1, )");
+    const result = validate(expression, schema);
+    assert.strictEqual(result.length, 1);
+    assert.ok(result[0] instanceof D2FSyntaxError);
+    assert.strictEqual(result[0], diagnostics[0]);
+  });
+
+  it("should not treat Object.prototype builtins as functions", () => {
+    assert.deepStrictEqual(
+      validate("toString(1, 2)", {}).map((error) => error.message),
+      ['Unknown function "toString" at position 0']
+    );
+  });
+
+  it("should treat missing schema fields as empty", () => {
+    assert.strictEqual(validate("lvl + min(1, 2)", {}).length, 2);
+  });
+
+  it("should render code frames", () => {
+    const [error] = validate("lvl + foo", schema);
+    assert.ok(error instanceof D2FValidationError);
+    assert.strictEqual(error.codeFrame("lvl + foo"), "lvl + foo\n      ^^^");
+  });
+});